@@ -0,0 +1,131 @@
+/**
+ * Copyright (c) 2022 Patineboot.
+ * All rights reserved.
+ *
+ * Elephant Backup is licensed under BSD 2-Clause License.
+ */
+'use strict'
+
+import os from 'node:os';
+import fs from 'node:fs';
+import path from 'node:path';
+import test from 'node:test';
+import assert from 'node:assert';
+
+import { Configure } from '../src/Configure.js';
+
+/**
+ * Write a configuration file.
+ * @param {string} directory the directory writing the file in.
+ * @param {string} name the name of the file.
+ * @param {any} content the content, written as is if a string, otherwise in JSON.
+ * @returns {string} the path of the file.
+ */
+function writeConfigure(directory, name, content) {
+    const filePath = path.join(directory, name);
+    fs.writeFileSync(filePath, typeof content === 'string' ? content : JSON.stringify(content));
+    return filePath;
+}
+
+await test('Load the configuration file', async (t) => {
+    t.diagnostic(`Load the configuration file diagnostic`);
+
+    // setup
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'elephant-configure-'));
+
+    await t.test('Valid values', async (t) => {
+        t.diagnostic(`Valid values diagnostic`);
+
+        // do test
+        const filePath = writeConfigure(directory, 'valid.json', {
+            snapshotKeepHours: 'forever',
+            sshPort: 2222,
+            capacityMargin: '5%',
+            limitRateSchedule: [{from: '22:00', to: '06:00', rate: 'unlimited'}, {from: '09:00', to: '18:00', rate: 1024}],
+        });
+        await Configure.load(filePath);
+
+        // verify result
+        assert.equal(Configure.SNAPSHOT_KEEP_HOURS, Infinity);
+        assert.equal(Configure.SSH_PORT, 2222);
+        assert.deepEqual(Configure.CAPACITY_MARGIN, {percent: 5});
+        assert.deepEqual(Configure.LIMIT_RATE_SCHEDULE, [
+            {from: 22 * 60, to: 6 * 60, rate: null},
+            {from: 9 * 60, to: 18 * 60, rate: 1024},
+        ]);
+        assert.equal(Configure.loadedFilePath, filePath);
+    });
+
+    await t.test('Unknown key', async (t) => {
+        t.diagnostic(`Unknown key diagnostic`);
+
+        // do test
+        const filePath = writeConfigure(directory, 'unknown.json', {snapshotKeepHour: 1});
+
+        // verify result
+        await assert.rejects(Configure.load(filePath), {message: `Unknown key "snapshotKeepHour" in ${filePath}`});
+    });
+
+    await t.test('Invalid values', async (t) => {
+        t.diagnostic(`Invalid values diagnostic`);
+
+        // do test
+        const logFilePath = writeConfigure(directory, 'log.json', {logFileSize: -1});
+        const schedulePath = writeConfigure(directory, 'schedule.json', {limitRateSchedule: [{from: '09:00', to: '24:00', rate: 1024}]});
+        const marginPath = writeConfigure(directory, 'margin.json', {capacityMargin: '10'});
+
+        // verify result
+        // expect the key, the expected value and the value in the message.
+        await assert.rejects(Configure.load(logFilePath),
+                {message: `Invalid value of "logFileSize" in ${logFilePath}: expected a positive integer, but got -1`});
+        await assert.rejects(Configure.load(schedulePath), {message: /^Invalid value of "limitRateSchedule" in /});
+        await assert.rejects(Configure.load(marginPath), {message: /^Invalid value of "capacityMargin" in .*, but got "10"$/});
+    });
+
+    await t.test('Nothing applied on error', async (t) => {
+        t.diagnostic(`Nothing applied on error diagnostic`);
+
+        // do test
+        const reportHistory = Configure.REPORT_HISTORY;
+        const loadedFilePath = Configure.loadedFilePath;
+        const filePath = writeConfigure(directory, 'partial.json', {reportHistory: reportHistory + 1, sendMode: 'fast'});
+
+        // verify result
+        // expect the valid value before the invalid one not applied either.
+        await assert.rejects(Configure.load(filePath), {message: /^Invalid value of "sendMode" in /});
+        assert.equal(Configure.REPORT_HISTORY, reportHistory);
+        assert.equal(Configure.loadedFilePath, loadedFilePath);
+    });
+
+    await t.test('Invalid files', async (t) => {
+        t.diagnostic(`Invalid files diagnostic`);
+
+        // do test
+        const textPath = writeConfigure(directory, 'text.json', '{"sshPort": 22');
+        const arrayPath = writeConfigure(directory, 'array.json', []);
+        const missingPath = path.join(directory, 'missing.json');
+
+        // verify result
+        await assert.rejects(Configure.load(textPath), {message: new RegExp(`^The configuration file ${textPath} is not JSON: `)});
+        await assert.rejects(Configure.load(arrayPath), {message: `The configuration file ${arrayPath} must contain a JSON object.`});
+        await assert.rejects(Configure.load(missingPath), {message: new RegExp(`^Cannot read the configuration file ${missingPath}: `)});
+    });
+
+    await t.test('No default file', async (t) => {
+        t.diagnostic(`No default file diagnostic`);
+
+        // do test
+        const configureFilePath = Configure.CONFIGURE_FILE_PATH;
+        const loadedFilePath = Configure.loadedFilePath;
+        Configure.CONFIGURE_FILE_PATH = path.join(directory, 'missing.json');
+        await Configure.load(undefined);
+        Configure.CONFIGURE_FILE_PATH = configureFilePath;
+
+        // verify result
+        // expect the optional default file skipped.
+        assert.equal(Configure.loadedFilePath, loadedFilePath);
+    });
+
+    // tear down
+    fs.rmSync(directory, {recursive: true, force: true});
+});
@@ -0,0 +1,124 @@
+/**
+ * Copyright (c) 2022 Patineboot.
+ * All rights reserved.
+ *
+ * Elephant Backup is licensed under BSD 2-Clause License.
+ */
+'use strict'
+
+import test from 'node:test';
+import assert from 'node:assert';
+
+import { ZfsUtilities } from '../src/ZfsUtilities.js';
+import { Condition } from './Condition.js';
+
+/**
+ * Get the snapshots on only a ZFS filesystem.
+ * @param {string} filesystem
+ * @param {Condition} condition
+ * @returns {string[]} the names of the snapshots without the ZFS filesystem.
+ */
+function listSnapshots(filesystem, condition) {
+    const listCommand = `zfs list -H -d 1 -o name -t snapshot ${filesystem}`;
+    const listResult = condition.spawnSync(listCommand);
+    return listResult.stdout.toString().trim().split('\n').filter(s => s != '').map(s => s.split('@')[1]);
+}
+
+await test('Destroy in batches', async (t) => {
+    t.diagnostic(`Destroy in batches diagnostic`);
+
+    const allSnapshots = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'h'];
+
+    await t.test('Ranges', async (t) => {
+        t.diagnostic(`Ranges diagnostic`);
+
+        // do test
+        const specs = ZfsUtilities.toSnapshotSpecs(['a', 'b', 'c', 'e', 'g', 'h'], allSnapshots);
+
+        // verify result
+        // expect the range of the consecutive snapshots over two, and the others as they are.
+        assert.deepEqual(specs, ['a%c', 'e', 'g', 'h']);
+    });
+
+    await t.test('Unknown snapshots', async (t) => {
+        t.diagnostic(`Unknown snapshots diagnostic`);
+
+        // do test
+        const specs = ZfsUtilities.toSnapshotSpecs(['x', 'y', 'z'], allSnapshots);
+
+        // verify result
+        // expect no ranges of the snapshots not on the ZFS filesystem.
+        assert.deepEqual(specs, ['x', 'y', 'z']);
+    });
+
+    await t.test('One batch', async (t) => {
+        t.diagnostic(`One batch diagnostic`);
+
+        // do test
+        const batches = ZfsUtilities.toBatches(['a%c', 'e', 'g'], 'testpool1@'.length);
+
+        // verify result
+        assert.deepEqual(batches, [['a%c', 'e', 'g']]);
+    });
+
+    await t.test('Bounded batches', async (t) => {
+        t.diagnostic(`Bounded batches diagnostic`);
+
+        // do test
+        const prefix = 'testpool1@';
+        const spec = 'elephant-2026-10-19-120000';
+        const specs = Array.from({length: 1000}, () => spec);
+        const batches = ZfsUtilities.toBatches(specs, prefix.length);
+
+        // verify result
+        // expect every argument of the destroy command within the bound, and all of the specifications in order.
+        assert.ok(batches.length > 1);
+        assert.ok(batches.every(b => `${prefix}${b.join(',')}`.length <= ZfsUtilities.MAX_DESTROY_ARGUMENT_LENGTH));
+        assert.deepEqual(batches.flat(), specs);
+    });
+});
+
+await test('Purge to free in batches', async (t) => {
+    t.diagnostic(`Purge to free in batches diagnostic`);
+
+    // setup
+    const condition = new Condition();
+    condition.prepareBackup();
+
+    // the 4th snapshot on the child only holds the file, and the child pins the 2nd.
+    const child = `${condition.zfsPool1}/child`;
+    condition.spawnSync(`zfs create ${child}`);
+    for (const day of [1, 2, 3, 4, 5]) {
+        if (day == 4) {
+            condition.createFile('file1MByte', 1024 * 1024, `/${child}`);
+        }
+        condition.spawnSync(`zfs snapshot -r ${condition.zfsPool1}@elephant-2026-01-0${day}-120000`);
+        if (day == 4) {
+            condition.spawnSync(`rm /${child}/file1MByte`);
+        }
+    }
+    condition.spawnSync(`zfs hold test ${child}@elephant-2026-01-02-120000`);
+
+    await t.test('Ranges on each dataset', async (t) => {
+        t.diagnostic(`Ranges on each dataset diagnostic`);
+
+        // do test
+        const availableResult = condition.spawnSync(`zfs get -H -p -o value available ${condition.zfsPool1}`);
+        const required = Number(availableResult.stdout.toString().trim()) + 512 * 1024;
+        const purgeCommand =
+                `${condition.settings.command} snapshot --purge-to-free ${required} ${condition.zfsPool1}`;
+        const purgeResult = condition.spawnSync(purgeCommand);
+
+        // verify result
+        // expect the range of the snapshots on the parent, and the held snapshot left on the child.
+        assert.equal(purgeResult.status, 0);
+        assert.ok(purgeResult.stdout.toString().includes(
+                `${condition.zfsPool1}@elephant-2026-01-01-120000%elephant-2026-01-04-120000`));
+        assert.deepEqual(listSnapshots(condition.zfsPool1, condition), ['elephant-2026-01-05-120000']);
+        assert.deepEqual(listSnapshots(child, condition), ['elephant-2026-01-02-120000', 'elephant-2026-01-05-120000']);
+    });
+
+    // tear down
+    condition.spawnSync(`zfs release test ${child}@elephant-2026-01-02-120000`);
+    condition.tearDown();
+});
@@ -0,0 +1,84 @@
+/**
+ * Copyright (c) 2022 Patineboot.
+ * All rights reserved.
+ *
+ * Elephant Backup is licensed under BSD 2-Clause License.
+ */
+'use strict'
+
+import test from 'node:test';
+import assert from 'node:assert';
+
+import { Condition } from './Condition.js';
+
+/**
+ * Get the ZFS datasets with ZFS list command.
+ * @param {string} zpool
+ * @param {string} type
+ * @param {Condition} condition
+ * @returns {string[]} the datasets.
+ */
+function listDatasets(zpool, type, condition) {
+    const LIST_COMMAND = 'zfs list -H -r -o name -t';
+
+    const listCommand =
+            `${LIST_COMMAND} ${type} ${zpool}`;
+    const listResult = condition.spawnSync(listCommand);
+    const datasets = listResult.stdout.toString().trim().split('\n').filter(s => s != '');
+    return datasets;
+}
+
+await test('Exclude a ZFS dataset', async (t) => {
+    t.diagnostic(`Exclude a ZFS dataset diagnostic`);
+
+    // setup
+    const condition = new Condition();
+    condition.prepareBackup();
+
+    const included = `${condition.zfsPool1}/included`;
+    const excluded = `${condition.zfsPool1}/excluded`;
+    condition.spawnSync(`zfs create ${included}`);
+    condition.spawnSync(`zfs create ${excluded}`);
+    condition.spawnSync(`zfs set elephant:exclude=on ${excluded}`);
+
+    // the snapshots on the ZFS pool are not the datasets to exclude.
+    condition.spawnSync(`zfs snapshot -r ${condition.zfsPool1}@existing`);
+
+    await t.test('Snapshot', async (t) => {
+        t.diagnostic(`Snapshot diagnostic`);
+
+        // do test
+        const snapshotCommand =
+                `${condition.settings.command} snapshot ${condition.zfsPool1}`;
+        const snapshotResult = condition.spawnSync(snapshotCommand);
+
+        // verify result
+        // expect the new snapshot on the included datasets only, and no snapshots of the snapshots.
+        assert.equal(snapshotResult.status, 0);
+        const snapshots = listDatasets(condition.zfsPool1, 'snapshot', condition);
+        assert.ok(snapshots.every(s => s.split('@').length === 2));
+        assert.ok(snapshots.some(s => s.startsWith(`${included}@elephant-`)));
+        assert.ok(!snapshots.some(s => s.startsWith(`${excluded}@elephant-`)));
+    });
+
+    await t.test('Backup', async (t) => {
+        t.diagnostic(`Backup diagnostic`);
+
+        // do test
+        const backupCommand =
+                `${condition.settings.command} backup -a ${condition.zfsPoolArchive} ${condition.zfsPool1}`;
+        const backupResult = condition.spawnSync(backupCommand);
+
+        // verify result
+        // expect the archive has the included datasets only.
+        assert.equal(backupResult.status, 0);
+        assert.deepEqual(listDatasets(condition.zfsPoolArchive, 'filesystem', condition), [
+            condition.zfsPoolArchive,
+            `${condition.zfsPoolArchive}/${condition.zfsPool1}`,
+            `${condition.zfsPoolArchive}/${included}`,
+        ]);
+    });
+
+    // tear down
+    condition.tearDown();
+});
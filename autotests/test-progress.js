@@ -0,0 +1,82 @@
+/**
+ * Copyright (c) 2022 Patineboot.
+ * All rights reserved.
+ *
+ * Elephant Backup is licensed under BSD 2-Clause License.
+ */
+'use strict'
+
+import test from 'node:test';
+import assert from 'node:assert';
+
+import { Progress } from '../src/Progress.js';
+import { ZfsUtilities } from '../src/ZfsUtilities.js';
+
+await test('Progress', async (t) => {
+    t.diagnostic(`Progress diagnostic`);
+
+    await t.test('Duration', async (t) => {
+        t.diagnostic(`Duration diagnostic`);
+
+        // verify result
+        // expect the seconds under a minute, the minutes and seconds under an hour, otherwise the hours and minutes.
+        assert.equal(Progress.formatDuration(0), '0s');
+        assert.equal(Progress.formatDuration(12.4), '12s');
+        assert.equal(Progress.formatDuration(59.6), '1m00s');
+        assert.equal(Progress.formatDuration(272), '4m32s');
+        assert.equal(Progress.formatDuration(3599.6), '1h00m');
+        assert.equal(Progress.formatDuration(3720), '1h02m');
+    });
+
+    await t.test('Unknown total', async (t) => {
+        t.diagnostic(`Unknown total diagnostic`);
+
+        // do test
+        const progress = new Progress('testpool1', null, null);
+        progress.update(250);
+
+        // verify result
+        // expect neither the percentage nor the ETA.
+        assert.equal(progress.Percent, null);
+        assert.equal(progress.Eta, null);
+        assert.match(progress.format(), /^testpool1: 250, \S+\/s, average \S+\/s$/);
+    });
+
+    await t.test('Known total', async (t) => {
+        t.diagnostic(`Known total diagnostic`);
+
+        // do test
+        const progress = new Progress('testpool1', 1000, null);
+        progress.update(250);
+        const quarter = progress.Percent;
+        const formatted = progress.format();
+        progress.update(2000);
+
+        // verify result
+        // expect the percentage up to 100 even if sending over the estimated size.
+        assert.equal(quarter, 25);
+        assert.match(formatted, /^testpool1: 250 \/ 1000 \(25%\), \S+\/s, average \S+\/s(, ETA \S+)?$/);
+        assert.equal(progress.Percent, 100);
+    });
+
+    await t.test('Parse zfs send -v -P', async (t) => {
+        t.diagnostic(`Parse zfs send -v -P diagnostic`);
+
+        // do test
+        const progress = new Progress('testpool1', null, null);
+        const handler = ZfsUtilities.createProgressHandler(progress);
+        handler('incremental\telephant-2026-10-19-100000\ttestpool1@elephant-2026-10-19-110000\t1000\n');
+        handler('incremental\telephant-2026-10-19-110000\ttestpool1@elephant-2026-10-19-120000\t2000\n');
+        // a chunk ends in the middle of a line.
+        handler('size\t30');
+        handler('00\n11:00:01\t500\ttestpool1@elephant-2026-10-19-110000\n');
+        const first = progress.Percent;
+        handler('11:00:02\t1000\ttestpool1@elephant-2026-10-19-120000\n');
+        const second = progress.Percent;
+
+        // verify result
+        // expect the total from the size line, and the snapshots before the one sending counted as sent.
+        assert.equal(first, 500 * 100 / 3000);
+        assert.equal(second, 2000 * 100 / 3000);
+    });
+});
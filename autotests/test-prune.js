@@ -0,0 +1,75 @@
+/**
+ * Copyright (c) 2022 Patineboot.
+ * All rights reserved.
+ * 
+ * Elephant Backup is licensed under BSD 2-Clause License.
+ */
+'use strict'
+
+import test from 'node:test';
+import assert from 'node:assert';
+
+import { Condition } from './Condition.js';
+
+/**
+ * Get the snapshots of a ZFS filesystem with ZFS list command.
+ * @param {string} zpool 
+ * @param {Condition} condition
+ * @returns {string[]} the snapshots.
+ */
+function listSnapshots(zpool, condition) {
+    const SNAPSHOT_LIST_COMMAND = 'zfs list -H -o name -t snapshot';
+
+    const listCommand =
+            `${SNAPSHOT_LIST_COMMAND} ${zpool}`;
+    const listResult = condition.spawnSync(listCommand);
+    const snapshots = listResult.stdout.toString().trim().split('\n').filter(s => s != '');
+    return snapshots;
+}
+
+await test('Prune one ZFS filesystem', async (t) => {
+    t.diagnostic(`Prune one ZFS filesystem diagnostic`);
+
+    // setup
+    const condition = new Condition();
+    condition.prepareBackup();
+
+    // take a snapshot with the 'snapshot' sub-command.
+    const snapshotCommand = 
+            `${condition.settings.command} snapshot ${condition.zfsPool1}`;
+    condition.spawnSync(snapshotCommand);
+    const snapshots = listSnapshots(condition.zfsPool1, condition);
+
+    await t.test('Dry run', async (t) => {
+        t.diagnostic(`Dry run diagnostic`);
+
+        // do test
+        // print the plan with the 'prune' sub-command.
+        const pruneCommand = 
+                `${condition.settings.command} prune -n ${condition.zfsPool1}`;
+        const pruneResult = condition.spawnSync(pruneCommand);
+
+        // verify result
+        // expect the plan keeps the new snapshot, and no changes.
+        const output = pruneResult.stdout.toString();
+        const newSnapshot = snapshots[snapshots.length - 1].split('@')[1];
+        assert.match(output, new RegExp(`keep +${newSnapshot}`));
+        assert.deepEqual(listSnapshots(condition.zfsPool1, condition), snapshots);
+    });
+
+    await t.test('Prune without confirmation', async (t) => {
+        t.diagnostic(`Prune without confirmation diagnostic`);
+
+        // do test
+        const pruneCommand = 
+                `${condition.settings.command} prune -y ${condition.zfsPool1}`;
+        condition.spawnSync(pruneCommand);
+
+        // verify result
+        // expect the new snapshot is kept.
+        assert.deepEqual(listSnapshots(condition.zfsPool1, condition), snapshots);
+    });
+
+    // tear down
+    condition.tearDown();
+});
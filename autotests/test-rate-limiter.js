@@ -0,0 +1,122 @@
+/**
+ * Copyright (c) 2022 Patineboot.
+ * All rights reserved.
+ *
+ * Elephant Backup is licensed under BSD 2-Clause License.
+ */
+'use strict'
+
+import test from 'node:test';
+import assert from 'node:assert';
+
+import { RateLimiter } from '../src/RateLimiter.js';
+
+/**
+ * Get a moment of today.
+ * @param {string} time the time of day, e.g., '09:00'.
+ * @returns {Date} the moment.
+ */
+function today(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    const date = new Date();
+    date.setHours(hours, minutes, 0, 0);
+    return date;
+}
+
+await test('Rate schedule', async (t) => {
+    t.diagnostic(`Rate schedule diagnostic`);
+
+    await t.test('Window in a day', async (t) => {
+        t.diagnostic(`Window in a day diagnostic`);
+
+        // do test
+        const limiter = new RateLimiter(null, [{from: 9 * 60, to: 18 * 60, rate: 10}]);
+
+        // verify result
+        // expect the rate from the start to before the end, otherwise unlimited.
+        assert.equal(limiter.getRate(today('08:59')), null);
+        assert.equal(limiter.getRate(today('09:00')), 10);
+        assert.equal(limiter.getRate(today('17:59')), 10);
+        assert.equal(limiter.getRate(today('18:00')), null);
+    });
+
+    await t.test('Window across midnight', async (t) => {
+        t.diagnostic(`Window across midnight diagnostic`);
+
+        // do test
+        const limiter = new RateLimiter(5, [{from: 22 * 60, to: 6 * 60, rate: 100}]);
+
+        // verify result
+        // expect the rate from the night to the morning, otherwise the default rate.
+        assert.equal(limiter.getRate(today('21:59')), 5);
+        assert.equal(limiter.getRate(today('22:00')), 100);
+        assert.equal(limiter.getRate(today('23:59')), 100);
+        assert.equal(limiter.getRate(today('00:00')), 100);
+        assert.equal(limiter.getRate(today('05:59')), 100);
+        assert.equal(limiter.getRate(today('06:00')), 5);
+    });
+
+    await t.test('Overlapped windows', async (t) => {
+        t.diagnostic(`Overlapped windows diagnostic`);
+
+        // do test
+        const limiter = new RateLimiter(5, [
+            {from: 9 * 60, to: 18 * 60, rate: null},
+            {from: 10 * 60, to: 11 * 60, rate: 20},
+        ]);
+
+        // verify result
+        // expect the first of the windows, even if unlimited.
+        assert.equal(limiter.getRate(today('10:30')), null);
+        assert.equal(limiter.getRate(today('18:30')), 5);
+    });
+
+    await t.test('Adjusted rate', async (t) => {
+        t.diagnostic(`Adjusted rate diagnostic`);
+
+        // do test
+        const limiter = new RateLimiter(1000, []);
+        limiter.adjust(0.5);
+        const halved = limiter.getRate();
+        limiter.adjust(2);
+        limiter.adjust(2);
+        const doubled = limiter.getRate();
+
+        // verify result
+        assert.equal(halved, 500);
+        assert.equal(doubled, 2000);
+    });
+
+    await t.test('Adjusted until the window changes', async (t) => {
+        t.diagnostic(`Adjusted until the window changes diagnostic`);
+
+        // do test
+        // the window starts 2 hours later, and ends 3 hours later.
+        const now = new Date();
+        const minutes = now.getHours() * 60 + now.getMinutes();
+        const limiter = new RateLimiter(1000, [{from: (minutes + 120) % 1440, to: (minutes + 180) % 1440, rate: 10}]);
+        limiter.adjust(0.5);
+
+        // verify result
+        // expect the adjustment discarded on the window.
+        assert.equal(limiter.getRate(now), 500);
+        assert.equal(limiter.getRate(new Date(now.getTime() + 150 * 60 * 1000)), 10);
+        assert.equal(limiter.getRate(now), 1000);
+    });
+
+    await t.test('Unlimited rate', async (t) => {
+        t.diagnostic(`Unlimited rate diagnostic`);
+
+        // do test
+        const limiter = new RateLimiter(null, []);
+        limiter.adjust(2);
+        const doubled = limiter.getRate();
+        limiter.adjust(0.5);
+        const halved = limiter.getRate();
+
+        // verify result
+        // expect no limit before sending any data.
+        assert.equal(doubled, null);
+        assert.equal(halved, null);
+    });
+});
@@ -0,0 +1,87 @@
+/**
+ * Copyright (c) 2022 Patineboot.
+ * All rights reserved.
+ *
+ * Elephant Backup is licensed under BSD 2-Clause License.
+ */
+'use strict'
+
+import os from 'node:os';
+import fs from 'node:fs';
+import path from 'node:path';
+import test from 'node:test';
+import assert from 'node:assert';
+
+import { Condition } from './Condition.js';
+
+/**
+ * Write the stub of the ssh command, which runs the command on this machine and logs the destination,
+ * and the configuration file using it.
+ * @param {string} directory the directory writing the files in.
+ * @returns {{configure: string, log: string}} the paths of the configuration file and the log.
+ */
+function prepareSsh(directory) {
+    const stub = path.join(directory, 'ssh-stub');
+    const log = path.join(directory, 'ssh-stub.log');
+    const configure = path.join(directory, 'elephant-backup.json');
+
+    // ssh [options] <destination> <command>...
+    fs.writeFileSync(stub, [
+        '#!/bin/sh',
+        'while [ "$1" = "-p" ] || [ "$1" = "-i" ]; do shift 2; done',
+        `echo "$1" >> ${log}`,
+        'shift',
+        'exec sh -c "$*"',
+        '',
+    ].join('\n'), {mode: 0o755});
+    fs.writeFileSync(configure, JSON.stringify({sshCommand: stub}));
+    return {configure, log};
+}
+
+await test('Backup to a remote archive', async (t) => {
+    t.diagnostic(`Backup to a remote archive diagnostic`);
+
+    // setup
+    const condition = new Condition();
+    condition.prepareBackup();
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'elephant-remote-'));
+    const {configure, log} = prepareSsh(directory);
+
+    await t.test('First Time', async (t) => {
+        t.diagnostic(`First Time diagnostic`);
+
+        // do test
+        const backupCommand =
+                `${condition.settings.command} -c ${configure} backup -a host:${condition.zfsPoolArchive} ${condition.zfsPool1}`;
+        const backupResult = condition.spawnSync(backupCommand);
+
+        // verify result
+        // expect the archive has the files through the ssh command to the destination.
+        assert.equal(backupResult.status, 0);
+        const diffResult = condition.spawnSync(`diff -r /${condition.zfsPool1} /${condition.zfsPoolArchive}/${condition.zfsPool1}`);
+        assert.equal(diffResult.status, 0);
+        const destinations = fs.readFileSync(log, 'utf8').trim().split('\n');
+        assert.ok(destinations.length > 0);
+        assert.ok(destinations.every(d => d === 'host'));
+    });
+
+    await t.test('Second Time', async (t) => {
+        t.diagnostic(`Second Time diagnostic`);
+
+        // do test
+        condition.addFileBackup();
+        const backupCommand =
+                `${condition.settings.command} -c ${configure} backup -a host:${condition.zfsPoolArchive} ${condition.zfsPool1}`;
+        const backupResult = condition.spawnSync(backupCommand);
+
+        // verify result
+        // expect the incremental backup has the added file.
+        assert.equal(backupResult.status, 0);
+        const diffResult = condition.spawnSync(`diff -r /${condition.zfsPool1} /${condition.zfsPoolArchive}/${condition.zfsPool1}`);
+        assert.equal(diffResult.status, 0);
+    });
+
+    // tear down
+    fs.rmSync(directory, {recursive: true, force: true});
+    condition.tearDown();
+});
@@ -0,0 +1,139 @@
+/**
+ * Copyright (c) 2022 Patineboot.
+ * All rights reserved.
+ *
+ * Elephant Backup is licensed under BSD 2-Clause License.
+ */
+'use strict'
+
+import test from 'node:test';
+import assert from 'node:assert';
+
+import { SnapshotList } from '../src/ZfsFilesystem.js';
+import { RetentionPolicy, RetentionTier } from '../src/RetentionPolicy.js';
+
+/**
+ * Plan the retention of the snapshots on a ZFS filesystem.
+ * @param {string[]} snapshots the names of the snapshots without the ZFS filesystem.
+ * @param {Object<string, number>} keeps the numbers of snapshots keeping by the name of the tiers, 0 if omitted.
+ * @param {Map<string, string>} pins the pinned snapshots, and the reasons.
+ * @returns {Map<string, {keep: boolean, tier: string|null, pinned: boolean}>} the decisions by the snapshots.
+ */
+function plan(snapshots, keeps, pins = new Map()) {
+    const policy = new RetentionPolicy(new Map(RetentionTier.ALL.map(t => [t, keeps[t.name] ?? 0])), Infinity);
+    const snapshotList = new SnapshotList(snapshots.map(s => `testpool1@${s}`));
+    const decisions = snapshotList.getRetentionPlan(policy, pins);
+    return new Map(decisions.map(d => [d.snapshot, {keep: d.keep, tier: d.tier?.name ?? null, pinned: d.pinned}]));
+}
+
+await test('Retention tiers', async (t) => {
+    t.diagnostic(`Retention tiers diagnostic`);
+
+    await t.test('Monthly', async (t) => {
+        t.diagnostic(`Monthly diagnostic`);
+
+        // do test
+        const decisions = plan([
+            'elephant-2026-07-10-120000',
+            'elephant-2026-07-20-120000',
+            'elephant-2026-08-05-120000',
+            'elephant-2026-09-15-120000',
+            'elephant-2026-09-30-120000',
+            'elephant-2026-10-01-120000',
+        ], {monthly: 3});
+
+        // verify result
+        // expect the newest snapshot of each of the latest 3 months.
+        assert.deepEqual([...decisions.entries()].filter(([, d]) => d.keep).map(([s, d]) => [s, d.tier]), [
+            ['elephant-2026-08-05-120000', 'monthly'],
+            ['elephant-2026-09-30-120000', 'monthly'],
+            ['elephant-2026-10-01-120000', 'monthly'],
+        ]);
+    });
+
+    await t.test('Yearly', async (t) => {
+        t.diagnostic(`Yearly diagnostic`);
+
+        // do test
+        const decisions = plan([
+            'elephant-2024-06-01-120000',
+            'elephant-2024-12-31-120000',
+            'elephant-2025-03-01-120000',
+            'elephant-2026-05-01-120000',
+        ], {yearly: 2});
+
+        // verify result
+        // expect the newest snapshot of each of the latest 2 years.
+        assert.deepEqual([...decisions.entries()].filter(([, d]) => d.keep).map(([s, d]) => [s, d.tier]), [
+            ['elephant-2025-03-01-120000', 'yearly'],
+            ['elephant-2026-05-01-120000', 'yearly'],
+        ]);
+    });
+
+    await t.test('Youngest tier', async (t) => {
+        t.diagnostic(`Youngest tier diagnostic`);
+
+        // do test
+        const decisions = plan([
+            'elephant-2026-10-18-080000',
+            'elephant-2026-10-18-200000',
+            'elephant-2026-10-19-100000',
+            'elephant-2026-10-19-110000',
+        ], {hourly: 1, daily: 2, monthly: 12});
+
+        // verify result
+        // expect the youngest of the tiers keeping a snapshot stands for it.
+        assert.deepEqual(decisions.get('elephant-2026-10-19-110000'), {keep: true, tier: 'hourly', pinned: false});
+        assert.deepEqual(decisions.get('elephant-2026-10-19-100000'), {keep: false, tier: null, pinned: false});
+        assert.deepEqual(decisions.get('elephant-2026-10-18-200000'), {keep: true, tier: 'daily', pinned: false});
+        assert.deepEqual(decisions.get('elephant-2026-10-18-080000'), {keep: false, tier: null, pinned: false});
+    });
+
+    await t.test('Pinned', async (t) => {
+        t.diagnostic(`Pinned diagnostic`);
+
+        // do test
+        const decisions = plan([
+            'elephant-2026-10-17-120000',
+            'elephant-2026-10-18-120000',
+            'elephant-2026-10-19-120000',
+        ], {daily: 1}, new Map([['elephant-2026-10-17-120000', 'the latest shared with testpoolarchive']]));
+
+        // verify result
+        // expect the pinned snapshot out of the tiers.
+        assert.deepEqual(decisions.get('elephant-2026-10-17-120000'), {keep: true, tier: null, pinned: true});
+        assert.deepEqual(decisions.get('elephant-2026-10-18-120000'), {keep: false, tier: null, pinned: false});
+        assert.deepEqual(decisions.get('elephant-2026-10-19-120000'), {keep: true, tier: 'daily', pinned: false});
+    });
+
+    await t.test('Labeled', async (t) => {
+        t.diagnostic(`Labeled diagnostic`);
+
+        // do test
+        const decisions = plan([
+            'elephant-2026-10-18-120000-pre-upgrade',
+            'elephant-2026-10-19-120000',
+        ], {daily: 1});
+
+        // verify result
+        // expect the labeled snapshot kept by design, not by a pin.
+        assert.deepEqual(decisions.get('elephant-2026-10-18-120000-pre-upgrade'), {keep: true, tier: null, pinned: false});
+    });
+
+    await t.test('No tiers', async (t) => {
+        t.diagnostic(`No tiers diagnostic`);
+
+        // do test
+        const decisions = plan([
+            'elephant-2026-10-17-120000',
+            'elephant-2026-10-18-120000',
+            'elephant-2026-10-19-120000',
+        ], {});
+
+        // verify result
+        // expect the newest snapshot kept even if all of the tiers keep none.
+        assert.deepEqual([...decisions.entries()].filter(([, d]) => d.keep).map(([s]) => s), [
+            'elephant-2026-10-19-120000',
+        ]);
+    });
+});
@@ -0,0 +1,101 @@
+/**
+ * Copyright (c) 2022 Patineboot.
+ * All rights reserved.
+ *
+ * Elephant Backup is licensed under BSD 2-Clause License.
+ */
+'use strict'
+
+import test from 'node:test';
+import assert from 'node:assert';
+
+import { Configure } from '../src/Configure.js';
+import { ZfsUtilities } from '../src/ZfsUtilities.js';
+
+/**
+ * Configure the send mode and the receive options, the default values if omitted.
+ * @param {{sendMode?: string, sendLargeBlocks?: boolean, sendEmbedded?: boolean, sendProperties?: boolean,
+ *     receiveOverrides?: Object<string, string>, receiveExcludes?: string[]}} values the values.
+ */
+function configure(values) {
+    Configure.SEND_MODE = values.sendMode ?? Configure.SEND_MODE_RAW;
+    Configure.SEND_LARGE_BLOCKS = values.sendLargeBlocks ?? false;
+    Configure.SEND_EMBEDDED = values.sendEmbedded ?? false;
+    Configure.SEND_PROPERTIES = values.sendProperties ?? true;
+    Configure.RECEIVE_OVERRIDES = values.receiveOverrides ?? {};
+    Configure.RECEIVE_EXCLUDES = values.receiveExcludes ?? [];
+}
+
+await test('Send mode', async (t) => {
+    t.diagnostic(`Send mode diagnostic`);
+
+    await t.test('Raw', async (t) => {
+        t.diagnostic(`Raw diagnostic`);
+
+        // do test
+        configure({sendLargeBlocks: true, sendEmbedded: true});
+
+        // verify result
+        // expect the large blocks and the embedded data as is in the raw send stream.
+        assert.equal(ZfsUtilities.getSendCommand(true), 'zfs send -R -w');
+        assert.equal(ZfsUtilities.getSendCommand(false), 'zfs send -p -w');
+    });
+
+    await t.test('Compressed', async (t) => {
+        t.diagnostic(`Compressed diagnostic`);
+
+        // do test
+        configure({sendMode: Configure.SEND_MODE_COMPRESSED, sendLargeBlocks: true, sendEmbedded: true});
+
+        // verify result
+        assert.equal(ZfsUtilities.getSendCommand(true), 'zfs send -R -c -L -e');
+        assert.equal(ZfsUtilities.getSendCommand(false), 'zfs send -p -c -L -e');
+    });
+
+    await t.test('Plain', async (t) => {
+        t.diagnostic(`Plain diagnostic`);
+
+        // do test
+        configure({sendMode: Configure.SEND_MODE_PLAIN, sendProperties: false});
+
+        // verify result
+        // expect the properties sent recursively regardless of the configuration.
+        assert.equal(ZfsUtilities.getSendCommand(true), 'zfs send -R');
+        assert.equal(ZfsUtilities.getSendCommand(false), 'zfs send');
+    });
+
+    await t.test('Receive options', async (t) => {
+        t.diagnostic(`Receive options diagnostic`);
+
+        // do test
+        configure({receiveOverrides: {compression: 'lz4', readonly: 'on'}, receiveExcludes: ['atime']});
+        const options = ZfsUtilities.getReceiveOptions();
+        configure({});
+        const none = ZfsUtilities.getReceiveOptions();
+
+        // verify result
+        assert.equal(options, '-o compression=lz4 -o readonly=on -x atime');
+        assert.equal(none, '');
+    });
+
+    await t.test('Conflicts', async (t) => {
+        t.diagnostic(`Conflicts diagnostic`);
+
+        // verify result
+        // expect the property both overridden and excluded refused on any send mode.
+        configure({receiveOverrides: {atime: 'off'}, receiveExcludes: ['atime']});
+        assert.equal(ZfsUtilities.findSendConflict([]), 'The property is both overridden and excluded on receiving: atime');
+
+        // expect the encrypted datasets refused on the send modes except raw.
+        configure({sendMode: Configure.SEND_MODE_COMPRESSED});
+        assert.equal(ZfsUtilities.findSendConflict(['testpool1/secret', 'testpool1/secret/child']),
+                'Cannot send the encrypted ZFS filesystems in the compressed send mode: testpool1/secret, testpool1/secret/child');
+        assert.equal(ZfsUtilities.findSendConflict([]), null);
+
+        configure({});
+        assert.equal(ZfsUtilities.findSendConflict(['testpool1/secret']), null);
+    });
+
+    // tear down
+    configure({});
+});
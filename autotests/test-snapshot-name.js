@@ -0,0 +1,113 @@
+/**
+ * Copyright (c) 2022 Patineboot.
+ * All rights reserved.
+ *
+ * Elephant Backup is licensed under BSD 2-Clause License.
+ */
+'use strict'
+
+import test from 'node:test';
+import assert from 'node:assert';
+
+import { Configure } from '../src/Configure.js';
+import { Snapshot } from '../src/Snapshot.js';
+import { SnapshotList } from '../src/ZfsFilesystem.js';
+
+// the local time with DST, which starts on 2026-03-29 and ends on 2026-10-25.
+process.env.TZ = 'Europe/Berlin';
+
+await test('Snapshot names', async (t) => {
+    t.diagnostic(`Snapshot names diagnostic`);
+
+    await t.test('UTC', async (t) => {
+        t.diagnostic(`UTC diagnostic`);
+
+        // do test
+        const snapshot = new Snapshot('elephant-2026-10-25T013000Z');
+        const labeled = new Snapshot('elephant-2026-10-25T013000Z-pre-upgrade');
+
+        // verify result
+        // expect the exact time regardless of the local time.
+        assert.equal(snapshot.getDate().toISOString(), '2026-10-25T01:30:00.000Z');
+        assert.equal(snapshot.label, null);
+        assert.equal(labeled.getDate().toISOString(), '2026-10-25T01:30:00.000Z');
+        assert.equal(labeled.label, 'pre-upgrade');
+    });
+
+    await t.test('Invalid', async (t) => {
+        t.diagnostic(`Invalid diagnostic`);
+
+        // verify result
+        // expect neither 'T' without 'Z' nor '-' with 'Z'.
+        assert.ok(!Snapshot.isCorrectedName('elephant-2026-10-25T013000'));
+        assert.ok(!Snapshot.isCorrectedName('elephant-2026-10-25-013000Z'));
+        assert.ok(!Snapshot.isCorrectedName('elephant-2026-10-25-0130'));
+        assert.throws(() => new Snapshot('other-2026-10-25-013000'));
+    });
+
+    await t.test('Local time on the start of DST', async (t) => {
+        t.diagnostic(`Local time on the start of DST diagnostic`);
+
+        // do test
+        const before = new Snapshot('elephant-2026-03-29-013000');
+        const after = new Snapshot('elephant-2026-03-29-033000');
+
+        // verify result
+        // expect one hour between them because the clock skips 2 o'clock.
+        assert.equal(before.getDate().toISOString(), '2026-03-29T00:30:00.000Z');
+        assert.equal(after.getDate().toISOString(), '2026-03-29T01:30:00.000Z');
+    });
+
+    await t.test('Local time on the end of DST', async (t) => {
+        t.diagnostic(`Local time on the end of DST diagnostic`);
+
+        // do test
+        const before = new Snapshot('elephant-2026-10-25-013000');
+        const repeated = new Snapshot('elephant-2026-10-25-023000');
+        const after = new Snapshot('elephant-2026-10-25-033000');
+
+        // verify result
+        // expect the earlier of the repeated hour, and three hours between the others.
+        assert.equal(before.getDate().toISOString(), '2026-10-24T23:30:00.000Z');
+        assert.equal(repeated.getDate().toISOString(), '2026-10-25T00:30:00.000Z');
+        assert.equal(after.getDate().toISOString(), '2026-10-25T02:30:00.000Z');
+    });
+
+    await t.test('Order of the formats', async (t) => {
+        t.diagnostic(`Order of the formats diagnostic`);
+
+        // do test
+        const snapshotList = new SnapshotList([
+            'testpool1@elephant-2026-10-25-033000',
+            'testpool1@elephant-2026-10-25T020000Z',
+            'testpool1@elephant-2026-10-25-013000',
+            'testpool1@elephant-2026-10-25T000000Z-pre-upgrade',
+        ]);
+
+        // verify result
+        // expect the order of the time, not of the names.
+        assert.deepEqual(snapshotList.getElephantSnapshots(), [
+            'elephant-2026-10-25-013000',
+            'elephant-2026-10-25T000000Z-pre-upgrade',
+            'elephant-2026-10-25T020000Z',
+            'elephant-2026-10-25-033000',
+        ]);
+    });
+
+    await t.test('Naming', async (t) => {
+        t.diagnostic(`Naming diagnostic`);
+
+        // do test
+        const naming = Configure.SNAPSHOT_NAMING;
+        Configure.SNAPSHOT_NAMING = Configure.SNAPSHOT_NAMING_UTC;
+        const utc = Snapshot.createSnapshot();
+        Configure.SNAPSHOT_NAMING = naming;
+        const local = Snapshot.createSnapshot('pre-upgrade');
+
+        // verify result
+        // expect the same time of taking the snapshot in the both formats.
+        assert.match(utc.name, /^elephant-\d{4}-\d{2}-\d{2}T\d{6}Z$/);
+        assert.match(local.name, /^elephant-\d{4}-\d{2}-\d{2}-\d{6}-pre-upgrade$/);
+        assert.equal(utc.getDate().getTime(), local.getDate().getTime());
+    });
+});
@@ -8,12 +8,20 @@
 
 import { Command } from 'commander';
 
+import { Configure } from './Configure.js';
+
 import packageJson from '../package.json' assert {type: 'json'};
 
 export class CommandType {
     static BACKUP = 'backup';
     static DIFF = 'diff';
+    static VERIFY = 'verify';
+    static PRUNE = 'prune';
     static SNAPSHOT = 'snapshot';
+    static RESTORE = 'restore';
+    static HOLD = 'hold';
+    static RELEASE = 'release';
+    static HOLDS = 'holds';
     static SYSTEMD_INSTALL = 'systemd-install';
     static SYSTEMD_UNINSTALL = 'systemd-uninstall';
 }
@@ -35,6 +43,23 @@ export class CommandOption {
         this.#develop_ = opts.develop;
         this.#list_ = opts.list;
         this.#progress_ = opts.progress;
+        this.#config_ = opts.config;
+        this.#purgeToFree_ = opts.purgeToFree;
+        this.#yes_ = opts.yes;
+        this.#tag_ = opts.tag;
+        this.#label_ = opts.label;
+        this.#format_ = opts.format;
+        this.#exclude_ = opts.exclude;
+        this.#hooks_ = opts.hooks;
+        this.#atomic_ = opts.atomic;
+        this.#abortPartial_ = opts.abortPartial;
+        this.#to_ = opts.to;
+        this.#snapshot_ = opts.snapshot;
+        this.#force_ = opts.force;
+        this.#limitRate_ = opts.limitRate;
+        this.#jobs_ = opts.jobs;
+        this.#verify_ = opts.verify;
+        this.#report_ = opts.report;
     }
 
     /** @type {string} */
@@ -77,6 +102,91 @@ export class CommandOption {
     get progress() {
         return this.#progress_;
     }
+    /** @type {string|undefined} */
+    #config_;
+    get config() {
+        return this.#config_;
+    }
+    /** @type {string|undefined} */
+    #purgeToFree_;
+    get purgeToFree() {
+        return this.#purgeToFree_;
+    }
+    /** @type {boolean} */
+    #yes_;
+    get yes() {
+        return this.#yes_;
+    }
+    /** @type {string} */
+    #tag_;
+    get tag() {
+        return this.#tag_;
+    }
+    /** @type {string} */
+    #label_;
+    get label() {
+        return this.#label_;
+    }
+    /** @type {string} */
+    #format_;
+    get format() {
+        return this.#format_;
+    }
+    /** @type {string[]} */
+    #exclude_;
+    get exclude() {
+        return this.#exclude_;
+    }
+    /** @type {boolean} */
+    #hooks_;
+    get hooks() {
+        return this.#hooks_;
+    }
+    /** @type {boolean} */
+    #atomic_;
+    get atomic() {
+        return this.#atomic_;
+    }
+    /** @type {boolean} */
+    #abortPartial_;
+    get abortPartial() {
+        return this.#abortPartial_;
+    }
+    /** @type {string|undefined} */
+    #to_;
+    get to() {
+        return this.#to_;
+    }
+    /** @type {string|undefined} */
+    #snapshot_;
+    get snapshot() {
+        return this.#snapshot_;
+    }
+    /** @type {boolean} */
+    #force_;
+    get force() {
+        return this.#force_;
+    }
+    /** @type {string|undefined} */
+    #limitRate_;
+    get limitRate() {
+        return this.#limitRate_;
+    }
+    /** @type {string|undefined} */
+    #jobs_;
+    get jobs() {
+        return this.#jobs_;
+    }
+    /** @type {boolean} */
+    #verify_;
+    get verify() {
+        return this.#verify_;
+    }
+    /** @type {string} */
+    #report_;
+    get report() {
+        return this.#report_;
+    }
 }
 
 export class CommandLine {
@@ -89,6 +199,7 @@ export class CommandLine {
     #program = new Command();
 
     #subCommand = this.#program;
+    #commandType = 'unexpected sub-command';
     #arguments = ['unexpected arguments'];
 
     /**
@@ -111,11 +222,19 @@ export class CommandLine {
         this.#program
             .name(packageJson.name)
             .description('Elephant Backup is a backup/archive program that raw-copies your ZFS filesystems to another.')
-            .version(packageJson.version);
+            .version(packageJson.version)
+            .option('-c, --config <path>',
+                    'Specify the configuration file instead of /etc/elephant-backup.json.');
 
         this.#configureCommand(CommandType.BACKUP);
         this.#configureCommand(CommandType.DIFF);
-        this.#configureCommand(CommandType.SNAPSHOT);
+        this.#configureCommand(CommandType.VERIFY);
+        this.#configureCommand(CommandType.PRUNE);
+        this.#configureCommand(CommandType.RESTORE);
+        const snapshotCommand = this.#configureCommand(CommandType.SNAPSHOT);
+        this.#configureCommand(CommandType.HOLD, snapshotCommand);
+        this.#configureCommand(CommandType.RELEASE, snapshotCommand);
+        this.#configureCommand(CommandType.HOLDS, snapshotCommand);
         this.#configureCommand(CommandType.SYSTEMD_INSTALL);
         this.#configureCommand(CommandType.SYSTEMD_UNINSTALL);
     }
@@ -126,9 +245,10 @@ export class CommandLine {
     parse() {
         this.#program.parse();
 
-        const subCommand = this.#program.args[0];
+        const subCommand = this.#commandType;
         const args = this.#arguments;
-        const opts = this.#subCommand.opts();
+        // the global options are available on every sub-command.
+        const opts = {...this.#program.opts(), ...this.#subCommand.opts()};
 
         this.#option = new CommandOption(subCommand, args, opts);
     }
@@ -143,33 +263,112 @@ export class CommandLine {
 
     /**
      * @param {string} commandType
+     * @param {Command} parent the parent command of the sub-command.
+     * @returns {Command} the sub-command.
      */
-    #configureCommand(commandType) {
-        const program = this.#program;
-        const subcommand = program.command(commandType);
+    #configureCommand(commandType, parent = this.#program) {
+        const subcommand = parent.command(commandType);
 
         switch(commandType) {
         case CommandType.BACKUP:
             subcommand
             .description('Back up any ZFS filesystems to another ZFS filesystems.')
             .requiredOption('-a, --archive <ZFS filesystem>',
-            'Specify <ZFS filesystem> to store any primary ZFS filesystems.')
+            'Specify <ZFS filesystem> to store any primary ZFS filesystems, [user@]host:<ZFS filesystem> over ssh, ' +
+            'or file:<directory> to store the send streams as files.')
             .option('-p, --progress',
                     'show the progress of backing up ZFS filesystems.',
-                    false);
+                    false)
+            .option('--abort-partial',
+                    'abort the partial receive interrupted on the previous backup instead of resuming it.',
+                    false)
+            .option('--limit-rate <bytes/s>',
+                    'limit the rate of sending the snapshots to <bytes/s>, e.g., 10M, out of the limitRateSchedule windows.')
+            .option('-j, --jobs <n>',
+                    'back up up to <n> primary ZFS filesystems concurrently.',
+                    '1')
+            .option('--verify',
+                    'verify the snapshots on the archive after backing up each primary ZFS filesystem.',
+                    false)
+            .option('--report <path>',
+                    'write the JSON report of the backup run to <path>, or to the standard output if "-".');
         break;
         case CommandType.DIFF:
             subcommand
             .description('Show the differences between the current of the primary ZFS filesystems and the latest backup.')
             .requiredOption('-a, --archive <ZFS filesystem>',
-            'Specify <ZFS filesystem> to store any primary ZFS pools.');
+            'Specify <ZFS filesystem> to store any primary ZFS pools, or [user@]host:<ZFS filesystem> over ssh.');
+            break;
+        case CommandType.VERIFY:
+            subcommand
+            .description('Verify the archive holds the same snapshots as the primary ZFS filesystems by the GUID.')
+            .requiredOption('-a, --archive <ZFS filesystem>',
+            'Specify <ZFS filesystem> storing the primary ZFS filesystems, or [user@]host:<ZFS filesystem> over ssh.');
+            break;
+        case CommandType.PRUNE:
+            subcommand
+            .description('Purge some existing snapshots on ZFS filesystems with the retention policy, without taking a snapshot.')
+            .option('-a, --archive <ZFS filesystem>',
+                    'purge the snapshots of the primary ZFS filesystems stored on <ZFS filesystem> with the archive retention policy.')
+            .option('-y, --yes',
+                    'purge the snapshots without the confirmation.',
+                    false);
+            break;
+        case CommandType.RESTORE:
+            subcommand
+            .description('Restore a ZFS filesystem and its descendants from the archive ZFS filesystem.')
+            .requiredOption('-a, --archive <ZFS filesystem>',
+                    'Specify <ZFS filesystem> storing the primary ZFS filesystem, [user@]host:<ZFS filesystem> over ssh, ' +
+                    'or file:<directory> storing the send streams as files.')
+            .option('--to <ZFS filesystem>',
+                    'restore to <ZFS filesystem> instead of the primary ZFS filesystem.')
+            .option('--snapshot <name>',
+                    'restore the snapshot instead of the latest snapshot on the archive.')
+            .option('-f, --force',
+                    'overwrite the existing ZFS filesystem.',
+                    false)
+            .option('-p, --progress',
+                    'show the progress of restoring ZFS filesystems.',
+                    false)
+            .argument('<ZFS filesystem>',
+                    'the name of the primary ZFS filesystem backed up, e.g., root.pool/home.')
+            .action((filesystem, _, command) => {
+                this.#subCommand = command;
+                this.#commandType = commandType;
+                this.#arguments = [filesystem];
+            });
             break;
         case CommandType.SNAPSHOT:
             subcommand
             .description('Take a snapshot and purge some existing snapshots on a ZFS filesystem.')
             .option('-l, --list',
                     'show the Elephant Backup snapshots.',
-                    false);
+                    false)
+            .option('--format <format>',
+                    'show the snapshots in the format, table or json.',
+                    'table')
+            .option('--purge-to-free <size|percent>',
+                    'purge the oldest snapshots instead of taking a snapshot until the ZFS pool has the free space, e.g., 10G or 20%.')
+            .option('--label <name>',
+                    'take a labeled snapshot kept apart from the retention tiers, e.g., pre-upgrade.');
+            break;
+        case CommandType.HOLD:
+            subcommand
+            .description('Pin a snapshot and the same snapshots of the descendants with the ZFS hold not to purge them.')
+            .option('-t, --tag <name>',
+                    'the tag of the hold.',
+                    Configure.HOLD_TAG);
+            break;
+        case CommandType.RELEASE:
+            subcommand
+            .description('Unpin a snapshot and the same snapshots of the descendants pinned with the ZFS hold.')
+            .option('-t, --tag <name>',
+                    'the tag of the hold.',
+                    Configure.HOLD_TAG);
+            break;
+        case CommandType.HOLDS:
+            subcommand
+            .description('Show the pinned snapshots on ZFS filesystems and their descendants.');
             break;
         case CommandType.SYSTEMD_INSTALL:
             subcommand
@@ -185,23 +384,71 @@ export class CommandLine {
         case CommandType.SNAPSHOT:
         case CommandType.BACKUP:
         case CommandType.DIFF:
+        case CommandType.VERIFY:
+        case CommandType.PRUNE:
+        case CommandType.HOLDS:
         case CommandType.SYSTEMD_INSTALL:
             subcommand
             .argument('<ZFS filesystems...>',
                     'the names of one or more primary ZFS filesystems.')
             .action((pools, _, command) => {
                 this.#subCommand = command;
+                this.#commandType = commandType;
                 this.#arguments = pools;
             });
             break;
+        case CommandType.HOLD:
+        case CommandType.RELEASE:
+            subcommand
+            .argument('<ZFS snapshot>',
+                    'the name of a snapshot, e.g., root.pool@elephant-2022-08-29-153407.')
+            .action((snapshot, _, command) => {
+                this.#subCommand = command;
+                this.#commandType = commandType;
+                this.#arguments = [snapshot];
+            });
+            break;
         case CommandType.SYSTEMD_UNINSTALL:
             subcommand
             .action((_, command) => {
                 this.#subCommand = command;
+                this.#commandType = commandType;
             });
             break;
         }
 
+        switch(commandType) {
+        case CommandType.SNAPSHOT:
+        case CommandType.BACKUP:
+        case CommandType.PRUNE:
+            subcommand
+            .option('--no-hooks',
+                    'skip running the hook scripts.');
+            break;
+        }
+
+        switch(commandType) {
+        case CommandType.SNAPSHOT:
+        case CommandType.BACKUP:
+            subcommand
+            .option('--atomic',
+                    'take the snapshot on all of the primary ZFS filesystems at once.',
+                    false);
+            break;
+        }
+
+        switch(commandType) {
+        case CommandType.SNAPSHOT:
+        case CommandType.BACKUP:
+        case CommandType.PRUNE:
+            subcommand
+            .option('-x, --exclude <ZFS dataset>',
+                    'exclude <ZFS dataset> and its descendants, which is repeatable.',
+                    (dataset, previous) => [...previous, dataset],
+                    /** @type {string[]} */([]));
+            break;
+        }
+
         subcommand
         .option('-v, --verbose',
                 'Print verbose information running on the program.',
@@ -212,5 +459,7 @@ export class CommandLine {
         .option('-d, --develop',
                 'Print information with the long format prefix.',
                 false);
+
+        return subcommand;
     }
 }
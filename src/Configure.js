@@ -8,8 +8,16 @@
 
 import path from "node:path";
 import os from "node:os";
+import * as fs from 'node:fs';
 import * as fsPromises from 'node:fs/promises';
 
+/**
+ * @typedef {Object} RateWindow a time-of-day window limiting the rate of sending the snapshots.
+ * @property {number} from the start of the window in the minutes from midnight.
+ * @property {number} to the end of the window in the minutes from midnight, before the start if across midnight.
+ * @property {number|null} rate the rate in bytes per second, or null if unlimited.
+ */
+
 export class Configure {
 
     /**
@@ -27,6 +35,260 @@ export class Configure {
         return elephantPath;
     }
 
+    /**
+     * Load the configuration file, and override the default values with the values in the file.
+     * The default configuration file is optional, so skip loading it if it does not exist.
+     * @param {string|undefined} filePath the path of the configuration file, or undefined to load the default one.
+     * @throws {Error} if the file is not readable, not JSON, or contains an invalid key or value.
+     */
+    static async load(filePath) {
+        const explicit = filePath !== undefined;
+        const configurePath = path.resolve(filePath ?? Configure.CONFIGURE_FILE_PATH);
+
+        if (!explicit && !fs.existsSync(configurePath)) {
+            return;
+        }
+
+        let text;
+        try {
+            text = await fsPromises.readFile(configurePath, {encoding: 'utf8'});
+        }
+        catch (err) {
+            throw new Error(`Cannot read the configuration file ${configurePath}: ${/** @type {Error} */(err).message}`);
+        }
+
+        let json;
+        try {
+            json = JSON.parse(text);
+        }
+        catch (err) {
+            throw new Error(`The configuration file ${configurePath} is not JSON: ${/** @type {Error} */(err).message}`);
+        }
+        if (typeof json !== 'object' || json === null || Array.isArray(json)) {
+            throw new Error(`The configuration file ${configurePath} must contain a JSON object.`);
+        }
+
+        // validate all of the keys before applying any of them.
+        const appliers = [];
+        for (const [key, value] of Object.entries(json)) {
+            const item = Configure.#ITEMS.find(i => i.key === key);
+            if (!item) {
+                throw new Error(`Unknown key "${key}" in ${configurePath}`);
+            }
+            if (!item.validate(value)) {
+                throw new Error(`Invalid value of "${key}" in ${configurePath}: expected ${item.expected}, but got ${JSON.stringify(value)}`);
+            }
+            appliers.push(() => item.apply(value));
+        }
+        appliers.forEach(apply => apply());
+
+        Configure.loadedFilePath = configurePath;
+    }
+
+    /**
+     * The keys of the configuration file, and the fields they override.
+     * @type {{key: string, expected: string, validate: (value: any) => boolean, apply: (value: any) => void}[]}
+     */
+    static #ITEMS = [
+        {
+            key: 'logFilePath', expected: 'an absolute path',
+            validate: isAbsolutePath,
+            apply: (value) => { Configure.LOG_FILE_PATH = value; },
+        },
+        {
+            key: 'logFileSize', expected: 'a positive integer',
+            validate: isPositiveInteger,
+            apply: (value) => { Configure.LOG_FILE_SIZE = value; },
+        },
+        {
+            key: 'prefixSnapshot', expected: 'a string of letters, digits, "_", ".", ":" and "-"',
+            validate: (value) => typeof value === 'string' && /^[A-Za-z0-9_.:-]+$/.test(value),
+            apply: (value) => { Configure.PREFIX_SNAPSHOT = value; },
+        },
+        {
+            key: 'snapshotNaming', expected: '"local" or "utc"',
+            validate: (value) => value === Configure.SNAPSHOT_NAMING_LOCAL || value === Configure.SNAPSHOT_NAMING_UTC,
+            apply: (value) => { Configure.SNAPSHOT_NAMING = value; },
+        },
+        {
+            key: 'snapshotKeepHours', expected: 'a non-negative integer or "forever"',
+            validate: isKeepNumber,
+            apply: (value) => { Configure.SNAPSHOT_KEEP_HOURS = toKeepNumber(value); },
+        },
+        {
+            key: 'snapshotKeepDays', expected: 'a non-negative integer or "forever"',
+            validate: isKeepNumber,
+            apply: (value) => { Configure.SNAPSHOT_KEEP_DAYS = toKeepNumber(value); },
+        },
+        {
+            key: 'snapshotKeepWeeks', expected: 'a non-negative integer or "forever"',
+            validate: isKeepNumber,
+            apply: (value) => { Configure.SNAPSHOT_KEEP_WEEKS = toKeepNumber(value); },
+        },
+        {
+            key: 'snapshotKeepMonths', expected: 'a non-negative integer or "forever"',
+            validate: isKeepNumber,
+            apply: (value) => { Configure.SNAPSHOT_KEEP_MONTHS = toKeepNumber(value); },
+        },
+        {
+            key: 'snapshotKeepYears', expected: 'a non-negative integer or "forever"',
+            validate: isKeepNumber,
+            apply: (value) => { Configure.SNAPSHOT_KEEP_YEARS = toKeepNumber(value); },
+        },
+        {
+            key: 'snapshotKeepLabeledDays', expected: 'a non-negative integer or "forever"',
+            validate: isKeepNumber,
+            apply: (value) => { Configure.SNAPSHOT_KEEP_LABELED_DAYS = toKeepNumber(value); },
+        },
+        {
+            key: 'archiveKeepHours', expected: 'a non-negative integer or "forever"',
+            validate: isKeepNumber,
+            apply: (value) => { Configure.ARCHIVE_KEEP_HOURS = toKeepNumber(value); },
+        },
+        {
+            key: 'archiveKeepDays', expected: 'a non-negative integer or "forever"',
+            validate: isKeepNumber,
+            apply: (value) => { Configure.ARCHIVE_KEEP_DAYS = toKeepNumber(value); },
+        },
+        {
+            key: 'archiveKeepWeeks', expected: 'a non-negative integer or "forever"',
+            validate: isKeepNumber,
+            apply: (value) => { Configure.ARCHIVE_KEEP_WEEKS = toKeepNumber(value); },
+        },
+        {
+            key: 'archiveKeepMonths', expected: 'a non-negative integer or "forever"',
+            validate: isKeepNumber,
+            apply: (value) => { Configure.ARCHIVE_KEEP_MONTHS = toKeepNumber(value); },
+        },
+        {
+            key: 'archiveKeepYears', expected: 'a non-negative integer or "forever"',
+            validate: isKeepNumber,
+            apply: (value) => { Configure.ARCHIVE_KEEP_YEARS = toKeepNumber(value); },
+        },
+        {
+            key: 'archiveKeepLabeledDays', expected: 'a non-negative integer or "forever"',
+            validate: isKeepNumber,
+            apply: (value) => { Configure.ARCHIVE_KEEP_LABELED_DAYS = toKeepNumber(value); },
+        },
+        {
+            key: 'hookPreSnapshot', expected: 'an absolute path without spaces',
+            validate: isScriptPath,
+            apply: (value) => { Configure.HOOK_PRE_SNAPSHOT = value; },
+        },
+        {
+            key: 'hookPostSnapshot', expected: 'an absolute path without spaces',
+            validate: isScriptPath,
+            apply: (value) => { Configure.HOOK_POST_SNAPSHOT = value; },
+        },
+        {
+            key: 'hookPreBackup', expected: 'an absolute path without spaces',
+            validate: isScriptPath,
+            apply: (value) => { Configure.HOOK_PRE_BACKUP = value; },
+        },
+        {
+            key: 'hookPostBackup', expected: 'an absolute path without spaces',
+            validate: isScriptPath,
+            apply: (value) => { Configure.HOOK_POST_BACKUP = value; },
+        },
+        {
+            key: 'hookPrePrune', expected: 'an absolute path without spaces',
+            validate: isScriptPath,
+            apply: (value) => { Configure.HOOK_PRE_PRUNE = value; },
+        },
+        {
+            key: 'hookPostPrune', expected: 'an absolute path without spaces',
+            validate: isScriptPath,
+            apply: (value) => { Configure.HOOK_POST_PRUNE = value; },
+        },
+        {
+            key: 'hookOnFailure', expected: 'an absolute path without spaces',
+            validate: isScriptPath,
+            apply: (value) => { Configure.HOOK_ON_FAILURE = value; },
+        },
+        {
+            key: 'sshCommand', expected: 'a command and its options separated by spaces',
+            validate: (value) => typeof value === 'string' && value.trim() !== '',
+            apply: (value) => { Configure.SSH_COMMAND = value.trim(); },
+        },
+        {
+            key: 'sshPort', expected: 'an integer from 1 to 65535',
+            validate: (value) => Number.isInteger(value) && value >= 1 && value <= 65535,
+            apply: (value) => { Configure.SSH_PORT = value; },
+        },
+        {
+            key: 'sshIdentity', expected: 'an absolute path without spaces',
+            validate: isScriptPath,
+            apply: (value) => { Configure.SSH_IDENTITY = value; },
+        },
+        {
+            key: 'fileArchiveChunkSize', expected: 'a positive integer',
+            validate: isPositiveInteger,
+            apply: (value) => { Configure.FILE_ARCHIVE_CHUNK_SIZE = value; },
+        },
+        {
+            key: 'limitRateSchedule',
+            expected: 'an array of {"from": "HH:MM", "to": "HH:MM", "rate": a positive integer or "unlimited"}',
+            validate: (value) => Array.isArray(value) && value.every(isRateWindow),
+            apply: (value) => { Configure.LIMIT_RATE_SCHEDULE = value.map(toRateWindow); },
+        },
+        {
+            key: 'sendMode', expected: '"raw", "compressed" or "plain"',
+            validate: (value) => [Configure.SEND_MODE_RAW, Configure.SEND_MODE_COMPRESSED, Configure.SEND_MODE_PLAIN].includes(value),
+            apply: (value) => { Configure.SEND_MODE = value; },
+        },
+        {
+            key: 'sendLargeBlocks', expected: 'true or false',
+            validate: (value) => typeof value === 'boolean',
+            apply: (value) => { Configure.SEND_LARGE_BLOCKS = value; },
+        },
+        {
+            key: 'sendEmbedded', expected: 'true or false',
+            validate: (value) => typeof value === 'boolean',
+            apply: (value) => { Configure.SEND_EMBEDDED = value; },
+        },
+        {
+            key: 'sendProperties', expected: 'true or false',
+            validate: (value) => typeof value === 'boolean',
+            apply: (value) => { Configure.SEND_PROPERTIES = value; },
+        },
+        {
+            key: 'receiveOverrides', expected: 'an object of a property name and a value without spaces, except "mountpoint"',
+            validate: (value) => typeof value === 'object' && value !== null && !Array.isArray(value) &&
+                    Object.entries(value).every(([name, v]) =>
+                            isPropertyName(name) && name !== 'mountpoint' && typeof v === 'string' && /^\S+$/.test(v)),
+            apply: (value) => { Configure.RECEIVE_OVERRIDES = {...value}; },
+        },
+        {
+            key: 'receiveExcludes', expected: 'an array of property names',
+            validate: (value) => Array.isArray(value) && value.every(isPropertyName),
+            apply: (value) => { Configure.RECEIVE_EXCLUDES = [...value]; },
+        },
+        {
+            key: 'capacityMargin', expected: 'a non-negative integer in bytes or a percent of the backup size, e.g., "10%"',
+            validate: (value) => (Number.isInteger(value) && value >= 0) ||
+                    (typeof value === 'string' && /^\d+(?:\.\d+)?%$/.test(value)),
+            apply: (value) => {
+                Configure.CAPACITY_MARGIN = typeof value === 'string' ? {percent: parseFloat(value)} : {bytes: value};
+            },
+        },
+        {
+            key: 'reportDirectory', expected: 'an absolute path',
+            validate: isAbsolutePath,
+            apply: (value) => { Configure.REPORT_DIRECTORY = value; },
+        },
+        {
+            key: 'reportHistory', expected: 'a positive integer',
+            validate: isPositiveInteger,
+            apply: (value) => { Configure.REPORT_HISTORY = value; },
+        },
+    ];
+
+    /** @type {string} The absolute path of the default configuration file. */
+    static CONFIGURE_FILE_PATH = path.join('/etc/', 'elephant-backup.json');
+
+    /** @type {string|null} The absolute path of the loaded configuration file, null if not loaded. */
+    static loadedFilePath = null;
+
     static LOG_START_SENTENCE = '===== Start Elephant Backup =====';
 
     /** @type {string} The absolute path of the log file to store an application log. */
@@ -38,9 +300,30 @@ export class Configure {
     /** @type {string} The absolute path of the lock file used in Semaphore */
     static LOG_REFERENCE_FILE_PATH = path.join(os.tmpdir(), 'elephant-backup.reference');
 
+    /** @type {string} The default tag of the ZFS hold pinning snapshots */
+    static HOLD_TAG = 'elephant';
+
     /** @type {string} The prefix of the name of snapshots */
     static PREFIX_SNAPSHOT = 'elephant';
 
+    /** @type {string} The naming in the local time, e.g., 'elephant-2022-08-29-153407' */
+    static SNAPSHOT_NAMING_LOCAL = 'local';
+
+    /** @type {string} The naming in UTC, e.g., 'elephant-2022-08-29T063407Z' */
+    static SNAPSHOT_NAMING_UTC = 'utc';
+
+    /** @type {string} The time on the name of snapshots, SNAPSHOT_NAMING_LOCAL or SNAPSHOT_NAMING_UTC */
+    static SNAPSHOT_NAMING = Configure.SNAPSHOT_NAMING_LOCAL;
+
+    /** @type {number} The number of days keeping the labeled snapshots, Infinity stands for forever */
+    static SNAPSHOT_KEEP_LABELED_DAYS = Infinity;
+
+    /** @type {number} The number of yearly snapshots keeping, Infinity stands for forever */
+    static SNAPSHOT_KEEP_YEARS = 0;
+
+    /** @type {number} The number of monthly snapshots keeping */
+    static SNAPSHOT_KEEP_MONTHS = 0;
+
     /** @type {number} The number of weekly snapshots keeping */
     static SNAPSHOT_KEEP_WEEKS = 104;
 
@@ -50,9 +333,193 @@ export class Configure {
     /** @type {number} The number of hourly snapshots keeping */
     static SNAPSHOT_KEEP_HOURS = 24;
 
+    /** @type {number} The number of hourly snapshots keeping on an archive */
+    static ARCHIVE_KEEP_HOURS = 0;
+
+    /** @type {number} The number of daily snapshots keeping on an archive */
+    static ARCHIVE_KEEP_DAYS = 30;
+
+    /** @type {number} The number of weekly snapshots keeping on an archive */
+    static ARCHIVE_KEEP_WEEKS = 104;
+
+    /** @type {number} The number of monthly snapshots keeping on an archive */
+    static ARCHIVE_KEEP_MONTHS = 120;
+
+    /** @type {number} The number of yearly snapshots keeping on an archive, Infinity stands for forever */
+    static ARCHIVE_KEEP_YEARS = Infinity;
+
+    /** @type {number} The number of days keeping the labeled snapshots on an archive, Infinity stands for forever */
+    static ARCHIVE_KEEP_LABELED_DAYS = Infinity;
+
+    /** @type {string|null} The absolute path of the script run before taking a snapshot */
+    static HOOK_PRE_SNAPSHOT = null;
+
+    /** @type {string|null} The absolute path of the script run after taking a snapshot */
+    static HOOK_POST_SNAPSHOT = null;
+
+    /** @type {string|null} The absolute path of the script run before backing up */
+    static HOOK_PRE_BACKUP = null;
+
+    /** @type {string|null} The absolute path of the script run after backing up */
+    static HOOK_POST_BACKUP = null;
+
+    /** @type {string|null} The absolute path of the script run before purging the snapshots with the 'prune' sub-command */
+    static HOOK_PRE_PRUNE = null;
+
+    /** @type {string|null} The absolute path of the script run after purging the snapshots with the 'prune' sub-command */
+    static HOOK_POST_PRUNE = null;
+
+    /** @type {string|null} The absolute path of the script run on failing to take a snapshot, back up or prune */
+    static HOOK_ON_FAILURE = null;
+
+    /** @type {string} The ssh command and its options to run the commands on a remote archive */
+    static SSH_COMMAND = 'ssh';
+
+    /** @type {number|null} The port of the ssh server, null if the default of the ssh command */
+    static SSH_PORT = null;
+
+    /** @type {string|null} The absolute path of the ssh identity file, null if the default of the ssh command */
+    static SSH_IDENTITY = null;
+
+    /** @type {number} The maximum size of a chunk file storing a send stream on a file archive */
+    static FILE_ARCHIVE_CHUNK_SIZE = 1024 * 1024 * 1024; // 1 GiB
+
+    /**
+     * @type {RateWindow[]} The time-of-day windows limiting the rate of sending the snapshots,
+     *     the rate out of them is the '--limit-rate' option, or unlimited
+     */
+    static LIMIT_RATE_SCHEDULE = [];
+
+    /** @type {string} The raw send mode, `zfs send -w`, sending the encrypted data as is */
+    static SEND_MODE_RAW = 'raw';
+
+    /** @type {string} The compressed send mode, `zfs send -c`, sending the compressed blocks as is */
+    static SEND_MODE_COMPRESSED = 'compressed';
+
+    /** @type {string} The plain send mode, sending the blocks decompressed */
+    static SEND_MODE_PLAIN = 'plain';
+
+    /** @type {string} The send mode, SEND_MODE_RAW, SEND_MODE_COMPRESSED or SEND_MODE_PLAIN */
+    static SEND_MODE = Configure.SEND_MODE_RAW;
+
+    /** @type {boolean} Whether to send the large blocks as is, `zfs send -L`, implied by the raw send mode */
+    static SEND_LARGE_BLOCKS = false;
+
+    /** @type {boolean} Whether to send the embedded data as is, `zfs send -e`, implied by the raw send mode */
+    static SEND_EMBEDDED = false;
+
+    /** @type {boolean} Whether to send the properties, `zfs send -p`, always on sending the descendants too */
+    static SEND_PROPERTIES = true;
+
+    /** @type {Object<string, string>} The values of the properties overriding the received ones, `zfs recv -o` */
+    static RECEIVE_OVERRIDES = {};
+
+    /** @type {string[]} The properties not received, `zfs recv -x`, in addition to 'mountpoint' */
+    static RECEIVE_EXCLUDES = [];
+
+    /**
+     * @type {{bytes: number}|{percent: number}} The space left on an archive after a backup,
+     *     in bytes or in the percent of the estimated size of the backup
+     */
+    static CAPACITY_MARGIN = {percent: 10};
+
+    /** @type {string} The absolute path of the directory keeping the reports of the backup runs */
+    static REPORT_DIRECTORY = path.join('/var/lib/', 'elephant-backup', 'reports');
+
+    /** @type {number} The number of the reports of the backup runs keeping in the report directory */
+    static REPORT_HISTORY = 100;
+
     /** @type {string} The 'enable' behavior of systemd subcommand */
     static SYSTEMD_BEHAVIOR_ENABLE = 'enable';
 
     /** @type {string} The 'disable' behavior of systemd subcommand */
     static SYSTEMD_BEHAVIOR_DISABLE = 'disable';
 }
+
+/**
+ * Whether a value is a positive integer or not.
+ * @param {any} value a value in the configuration file.
+ * @returns {boolean} true if a positive integer, otherwise false.
+ */
+function isPositiveInteger(value) {
+    return Number.isInteger(value) && value > 0;
+}
+
+/**
+ * Whether a value is a number of snapshots keeping or not.
+ * @param {any} value a value in the configuration file.
+ * @returns {boolean} true if zero, a positive integer or "forever", otherwise false.
+ */
+function isKeepNumber(value) {
+    return (Number.isInteger(value) && value >= 0) || value === 'forever';
+}
+
+/**
+ * Convert a number of snapshots keeping in the configuration file to the number.
+ * @param {number|string} value a non-negative integer or "forever".
+ * @returns {number} the number, Infinity if "forever".
+ */
+function toKeepNumber(value) {
+    return value === 'forever' ? Infinity : Number(value);
+}
+
+/**
+ * Whether a value is a time-of-day window limiting the rate or not.
+ * @param {any} value a value in the configuration file.
+ * @returns {boolean} true if the "from" and "to" times and the rate in bytes per second or "unlimited", otherwise false.
+ */
+function isRateWindow(value) {
+    return typeof value === 'object' && value !== null &&
+            toMinutes(value.from) !== null && toMinutes(value.to) !== null && value.from !== value.to &&
+            (isPositiveInteger(value.rate) || value.rate === 'unlimited');
+}
+
+/**
+ * Convert a time-of-day window in the configuration file to the RateWindow.
+ * @param {{from: string, to: string, rate: number|string}} value a time-of-day window.
+ * @returns {RateWindow} the window.
+ */
+function toRateWindow(value) {
+    return {
+        from: toMinutes(value.from) ?? 0,
+        to: toMinutes(value.to) ?? 0,
+        rate: value.rate === 'unlimited' ? null : Number(value.rate),
+    };
+}
+
+/**
+ * Convert a time of day to the minutes from midnight.
+ * @param {any} value a time of day, e.g., '09:00'.
+ * @returns {number|null} the minutes, or null if not a time of day.
+ */
+function toMinutes(value) {
+    const match = typeof value === 'string' ? value.match(/^([01]\d|2[0-3]):([0-5]\d)$/) : null;
+    return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+}
+
+/**
+ * Whether a value is the name of a ZFS property or not.
+ * @param {any} value a value in the configuration file.
+ * @returns {boolean} true if a native or user property name, otherwise false.
+ */
+function isPropertyName(value) {
+    return typeof value === 'string' && /^[a-z][a-z0-9_.:-]*$/.test(value);
+}
+
+/**
+ * Whether a value is an absolute path or not.
+ * @param {any} value a value in the configuration file.
+ * @returns {boolean} true if an absolute path, otherwise false.
+ */
+function isAbsolutePath(value) {
+    return typeof value === 'string' && path.isAbsolute(value);
+}
+
+/**
+ * Confirm a value is the absolute path of a script run without the shell.
+ * @param {any} value a value.
+ * @returns {boolean} true if the absolute path without spaces, otherwise false.
+ */
+function isScriptPath(value) {
+    return isAbsolutePath(value) && !/\s/.test(value);
+}
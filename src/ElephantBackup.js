@@ -9,6 +9,7 @@
 import { Logger, LogLevel } from './Logger.js';
 import { CommandLine } from './CommandLine.js';
 import { SubCommand } from './SubCommand.js';
+import { Configure } from './Configure.js';
 
 import packageJson from '../package.json' assert {type: 'json'};
 
@@ -58,10 +59,30 @@ export class ElephantBackup {
         if (option.develop) {
             logger.enableLongFormat();
         }
+        if ((option.list && option.format === 'json') || option.report === '-') {
+            // keep the standard output for the JSON output only.
+            logger.redirectConsoleToStderr();
+        }
+
+        // Load the configuration file before logging because it possibly changes the log file.
+        // the default values stay if the configuration file is invalid.
+        /** @type {Error|null} */
+        let configureError = null;
+        try {
+            await Configure.load(option.config);
+        }
+        catch (err) {
+            configureError = /** @type {Error} */(err);
+        }
 
         // Start logging, and print the starting message.
         await logger.startLog();
         logger.debug(process.argv);
+
+        if (configureError) {
+            logger.exit(configureError.message);
+        }
+        logger.info(`Configuration file: ${Configure.loadedFilePath ?? 'none, use the default values'}`);
     
         logger.info(`Subcommand: ${option.subCommand}`);
         logger.info(`Arguments: ${option.arguments}`);
@@ -0,0 +1,556 @@
+/**
+ * Copyright (c) 2022 Patineboot.
+ * All rights reserved.
+ *
+ * Elephant Backup is licensed under BSD 2-Clause License.
+ */
+'use strict'
+
+import path from 'node:path';
+import * as fs from 'node:fs';
+import * as fsPromises from 'node:fs/promises';
+import stream from 'node:stream'; // NOSONAR
+import * as streamPromises from 'node:stream/promises';
+import { createHash } from 'node:crypto';
+
+import { CommandLine } from './CommandLine.js';
+import { Configure } from './Configure.js';
+import { Logger } from './Logger.js';
+import { Progress } from './Progress.js';
+import { RunReport } from './RunReport.js';
+import { ZfsFilesystem } from './ZfsFilesystem.js';
+import { ZfsUtilities } from './ZfsUtilities.js';
+
+/**
+ * @typedef {Object} ChunkRecord a chunk file storing a part of a send stream.
+ * @property {string} file the name of the chunk file in the directory of the manifest.
+ * @property {number} size the size of the chunk in bytes.
+ * @property {string} sha256 the SHA-256 digest of the chunk in hexadecimal.
+ */
+
+/**
+ * @typedef {Object} StreamRecord a send stream stored in the chunk files.
+ * @property {string|null} first the snapshot the incremental stream starts from, null if a full stream.
+ * @property {string|null} firstGuid the GUID of the first snapshot, null if a full stream.
+ * @property {string} last the snapshot the stream ends with.
+ * @property {string} lastGuid the GUID of the last snapshot.
+ * @property {number} size the size of the stream in bytes.
+ * @property {string} created the time of writing the stream in ISO 8601.
+ * @property {ChunkRecord[]} chunks the chunks in order.
+ */
+
+/**
+ * @typedef {Object} Manifest the send streams of a primary ZFS filesystem on a file archive.
+ * @property {number} version the version of the manifest format.
+ * @property {string} filesystem the primary ZFS filesystem.
+ * @property {boolean} recursive true if the streams include the descendants, false if only the filesystem.
+ * @property {StreamRecord[]} streams the streams in the order of receiving, the first is a full stream.
+ */
+
+const logger = Logger.getLogger();
+
+/**
+ * An archive storing the send streams as files on a directory, e.g., on a non-ZFS media.
+ * The streams of a primary ZFS filesystem are stored in the directory of the same path as its name
+ * with the manifest recording them.
+ */
+export class FileArchive {
+
+    /** @type {string} The prefix of the archive specification of a file archive */
+    static PREFIX = 'file:';
+
+    /** @type {string} The name of the manifest file */
+    static MANIFEST_FILE = 'manifest.json';
+
+    /** @type {number} The version of the manifest format */
+    static MANIFEST_VERSION = 1;
+
+    /** @type {string} */
+    #directory;
+
+    /**
+     * Construct a FileArchive instance.
+     * @param {string} directory the absolute path of the directory storing the streams.
+     */
+    constructor(directory) {
+        this.#directory = directory;
+    }
+
+    /**
+     * Parse an archive specification.
+     * @param {string} spec an archive specification, e.g., 'file:/mnt/offsite'.
+     * @returns {FileArchive|null} the file archive, or null if the specification is not of a file archive.
+     */
+    static parse(spec) {
+        if (!spec?.startsWith(FileArchive.PREFIX)) {
+            return null;
+        }
+        return new FileArchive(path.resolve(spec.substring(FileArchive.PREFIX.length)));
+    }
+
+    /**
+     * Whether the directory of this archive exists or not.
+     * @returns {boolean} true if exists, otherwise false.
+     */
+    exist() {
+        return fs.existsSync(this.#directory) && fs.statSync(this.#directory).isDirectory();
+    }
+
+    /**
+     * Back up the snapshots on a primary ZFS filesystem to this archive.
+     * The first backup writes the full stream of the earliest snapshot, and every backup writes
+     * the incremental stream from the last recorded snapshot to the latest snapshot.
+     * @param {ZfsFilesystem} primary a primary ZFS filesystem.
+     * @param {boolean} recursive true if back up the descendants too, false if only the filesystem.
+     */
+    async backup(primary, recursive) {
+        const directory = this.#getDirectory(primary.Name);
+        const manifest = await this.#readManifest(primary.Name) ??
+                {version: FileArchive.MANIFEST_VERSION, filesystem: primary.Name, recursive, streams: []};
+        if (manifest.recursive !== recursive) {
+            throw new Error(`${primary.Name} was backed up ${manifest.recursive ? 'with' : 'without'} the descendants to ${directory}, ` +
+                    'move the directory away to start a new full backup.');
+        }
+
+        const snapshotList = await primary.getSnapshotList();
+        const latestSnapshot = snapshotList.getLatest();
+        if (!latestSnapshot) {
+            throw new Error(`No snapshots on the ${primary.Name}`);
+        }
+
+        const lastRecord = manifest.streams[manifest.streams.length - 1];
+        let lastSnapshot = lastRecord?.last ?? null;
+        if (lastSnapshot === null) {
+            // when the first backup, write the full stream of the earliest snapshot.
+            const earliestSnapshot = snapshotList.getEarliest() ?? latestSnapshot;
+            await this.#writeStream(primary, manifest, null, earliestSnapshot);
+            lastSnapshot = earliestSnapshot;
+        }
+        else if (!snapshotList.has(lastSnapshot) || await primary.getGuid(lastSnapshot) !== lastRecord.lastGuid) {
+            // an incremental stream is received only on the same snapshot as it is sent from.
+            throw new Error(`The last snapshot recorded in ${directory} is not on the primary: ${primary.Name}@${lastSnapshot}, ` +
+                    'move the directory away to start a new full backup.');
+        }
+
+        if (lastSnapshot === latestSnapshot) {
+            logger.print(`Archive is Up-To-Date: ${directory}`);
+        }
+        else {
+            await this.#writeStream(primary, manifest, lastSnapshot, latestSnapshot);
+        }
+
+        // remember the latest snapshot backed up not to purge it, the next incremental stream starts from it.
+        await primary.setArchivedSnapshot(latestSnapshot);
+    }
+
+    /**
+     * Get the snapshots, which a primary ZFS filesystem is restored to from this archive.
+     * @param {string} filesystem a primary ZFS filesystem.
+     * @returns {Promise<string[]|null>} the last snapshots of the streams, or null if not archived.
+     */
+    async getSnapshots(filesystem) {
+        const manifest = await this.#readManifest(filesystem);
+        return manifest ? manifest.streams.map(r => r.last) : null;
+    }
+
+    /**
+     * Restore a primary ZFS filesystem and its descendants from this archive.
+     * All of the chunks restoring are verified with the manifests before receiving any of them.
+     * @param {string} filesystem the primary ZFS filesystem archived.
+     * @param {string} target the primary ZFS filesystem to restore to.
+     * @param {string} snapshot the snapshot restoring, which is the last snapshot of a stream.
+     * @param {boolean} force true if overwrite the existing target.
+     * @param {boolean} mountPoint true if restore the mountpoint properties of the primary,
+     *     false if inherit the mountpoint property from the parent of the target.
+     */
+    async restore(filesystem, target, snapshot, force, mountPoint) {
+        const option = CommandLine.getOption();
+
+        /** @type {{manifest: Manifest, streams: StreamRecord[]}[]} */
+        const restorings = [];
+        for (const manifest of await this.#findManifests(filesystem)) {
+            const end = manifest.streams.findIndex(r => r.last === snapshot);
+            if (end < 0) {
+                logger.warn(`Skip restoring ${manifest.filesystem}, no streams end with the snapshot: ${snapshot}`);
+                continue;
+            }
+            restorings.push({manifest, streams: manifest.streams.slice(0, end + 1)});
+        }
+
+        for (const {manifest, streams} of restorings) {
+            const directory = this.#getDirectory(manifest.filesystem);
+            for (const record of streams) {
+                await FileArchive.#verifyStream(directory, record);
+            }
+            logger.info(`Verified ${streams.length} streams in ${directory}`);
+        }
+
+        for (const {manifest, streams} of restorings) {
+            const directory = this.#getDirectory(manifest.filesystem);
+            const restored = `${target}${manifest.filesystem.substring(filesystem.length)}`;
+            for (const [index, record] of streams.entries()) {
+                logger.print(`Receive ${record.first ? `from ${record.first} ` : ''}to ${record.last} on ${restored}`);
+                const source = stream.Readable.from(readChunks(directory, record.chunks), {objectMode: false});
+                await ZfsUtilities.receiveFromStream(restored, source, force && index === 0);
+            }
+        }
+
+        // the received ZFS filesystems are not on this machine in dry run.
+        if (option.dryRun) {
+            return;
+        }
+        // `zfs recv -x mountpoint` keeps the mountpoint of the primary as the received value.
+        const mountPoints = await ZfsUtilities.getReceivedValuesRecursively(target, 'mountpoint');
+        const received = new Map([...mountPoints].map(([name, value]) => [name.substring(target.length), value]));
+        await ZfsFilesystem.mountRestored(target, received, mountPoint);
+    }
+
+    /**
+     * Get the archive specification, e.g., 'file:/mnt/offsite'.
+     */
+    get Location() {
+        return `${FileArchive.PREFIX}${this.#directory}`;
+    }
+
+    /**
+     * Get the directory storing the streams of a primary ZFS filesystem.
+     * @param {string} filesystem a primary ZFS filesystem.
+     * @returns {string} the absolute path of the directory.
+     */
+    #getDirectory(filesystem) {
+        return path.join(this.#directory, ...filesystem.split('/').map(toFileName));
+    }
+
+    /**
+     * Write a send stream of a primary ZFS filesystem to the chunk files, and record it on the manifest.
+     * @param {ZfsFilesystem} primary a primary ZFS filesystem.
+     * @param {Manifest} manifest the manifest of the primary ZFS filesystem.
+     * @param {string|null} first the snapshot the incremental stream starts from, null if a full stream.
+     * @param {string} last the snapshot the stream ends with.
+     */
+    async #writeStream(primary, manifest, first, last) {
+        const option = CommandLine.getOption();
+
+        const size = first ?
+                await primary.estimateBackupSize(first, last, manifest.recursive) :
+                await primary.estimateBackupSize(last, '', manifest.recursive);
+        logger.print(`The ${first ? 'incremental' : 'first'} backup size of ${primary.Name}: ${size === null ? 'unknown' : ZfsUtilities.formatSize(size)}`);
+        if (option.dryRun) {
+            return;
+        }
+
+        const directory = this.#getDirectory(primary.Name);
+        await fsPromises.mkdir(directory, {recursive: true});
+
+        const index = String(manifest.streams.length).padStart(4, '0');
+        const writer = new ChunkWriter(directory, `${index}-${toFileName(last)}`, Configure.FILE_ARCHIVE_CHUNK_SIZE);
+        try {
+            await primary.backupToStream(writer, first ?? last, first ? last : '', manifest.recursive, Progress.start(primary.Name, size));
+        }
+        catch (err) {
+            // the manifest records no partial streams, the next backup writes the stream again.
+            await writer.discard();
+            throw err;
+        }
+
+        manifest.streams.push({
+            first,
+            firstGuid: first ? await primary.getGuid(first) : null,
+            last,
+            lastGuid: await primary.getGuid(last),
+            size: writer.size,
+            created: new Date().toISOString(),
+            chunks: writer.chunks,
+        });
+        await this.#writeManifest(manifest);
+        logger.print(`Wrote ${ZfsUtilities.formatSize(writer.size)} in ${writer.chunks.length} chunks to ${directory}`);
+        RunReport.recordSend(primary.Name, first ? 'incremental' : 'full', first, last, writer.size);
+    }
+
+    /**
+     * Read the manifest of a primary ZFS filesystem.
+     * @param {string} filesystem a primary ZFS filesystem.
+     * @returns {Promise<Manifest|null>} the manifest, or null if not archived.
+     * @throws {Error} if the manifest is broken.
+     */
+    async #readManifest(filesystem) {
+        const manifestPath = path.join(this.#getDirectory(filesystem), FileArchive.MANIFEST_FILE);
+        if (!fs.existsSync(manifestPath)) {
+            return null;
+        }
+
+        /** @type {Manifest} */
+        let manifest;
+        try {
+            manifest = JSON.parse(await fsPromises.readFile(manifestPath, 'utf8'));
+        }
+        catch (err) {
+            throw new Error(`The manifest is broken: ${manifestPath}: ${/** @type {Error} */(err).message}`);
+        }
+        FileArchive.#validate(manifest, filesystem, manifestPath);
+        return manifest;
+    }
+
+    /**
+     * Write the manifest of a primary ZFS filesystem, replacing the previous one at once.
+     * @param {Manifest} manifest the manifest.
+     */
+    async #writeManifest(manifest) {
+        const manifestPath = path.join(this.#getDirectory(manifest.filesystem), FileArchive.MANIFEST_FILE);
+        const temporaryPath = `${manifestPath}.tmp`;
+        await fsPromises.writeFile(temporaryPath, JSON.stringify(manifest, null, 2));
+        await fsPromises.rename(temporaryPath, manifestPath);
+    }
+
+    /**
+     * Find the manifests restoring a primary ZFS filesystem, the parents first.
+     * The descendants backed up one by one with the excluded datasets have their own manifests.
+     * @param {string} filesystem a primary ZFS filesystem.
+     * @returns {Promise<Manifest[]>} the manifests.
+     * @throws {Error} if the primary ZFS filesystem is not archived, or any of the manifests is broken.
+     */
+    async #findManifests(filesystem) {
+        const manifest = await this.#readManifest(filesystem);
+        if (!manifest) {
+            throw new Error(`${filesystem} is not archived on ${this.Location} yet.`);
+        }
+        if (manifest.recursive) {
+            return [manifest];
+        }
+
+        /** @type {Manifest[]} */
+        const manifests = [manifest];
+        /** @type {string[]} */
+        const directories = [this.#getDirectory(filesystem)];
+        while (directories.length > 0) {
+            const directory = /** @type {string} */ (directories.shift());
+            const entries = await fsPromises.readdir(directory, {withFileTypes: true});
+            for (const entry of entries.filter(e => e.isDirectory())) {
+                const child = path.join(directory, entry.name);
+                directories.push(child);
+
+                const manifestPath = path.join(child, FileArchive.MANIFEST_FILE);
+                if (!fs.existsSync(manifestPath)) {
+                    continue;
+                }
+                const name = JSON.parse(await fsPromises.readFile(manifestPath, 'utf8'))?.filesystem;
+                if (typeof name === 'string' && name.startsWith(`${filesystem}/`) && this.#getDirectory(name) === child) {
+                    manifests.push(/** @type {Manifest} */ (await this.#readManifest(name)));
+                }
+            }
+        }
+        return manifests.sort((a, b) => a.filesystem.localeCompare(b.filesystem));
+    }
+
+    /**
+     * Validate a manifest read from a file.
+     * @param {Manifest} manifest the manifest.
+     * @param {string} filesystem the primary ZFS filesystem of the manifest.
+     * @param {string} manifestPath the path of the manifest file.
+     * @throws {Error} if the manifest is broken.
+     */
+    static #validate(manifest, filesystem, manifestPath) {
+        /** @param {string} reason */
+        const broken = (reason) => new Error(`The manifest is broken: ${manifestPath}: ${reason}`);
+
+        if (manifest?.version !== FileArchive.MANIFEST_VERSION) {
+            throw broken(`unsupported version ${manifest?.version}`);
+        }
+        if (manifest.filesystem !== filesystem) {
+            throw broken(`recorded for ${manifest.filesystem}, not for ${filesystem}`);
+        }
+        if (typeof manifest.recursive !== 'boolean' || !Array.isArray(manifest.streams)) {
+            throw broken('no streams');
+        }
+
+        manifest.streams.forEach((record, index) => {
+            const previous = index === 0 ? null : manifest.streams[index - 1];
+            if (typeof record.last !== 'string' || typeof record.lastGuid !== 'string' || !Array.isArray(record.chunks)) {
+                throw broken(`the stream ${index} has no snapshot or no chunks`);
+            }
+            // every incremental stream starts from the last snapshot of the previous stream.
+            if (record.first !== (previous?.last ?? null) || record.firstGuid !== (previous?.lastGuid ?? null)) {
+                throw broken(`the stream ${index} does not start from the last snapshot of the previous stream`);
+            }
+            for (const chunk of record.chunks) {
+                if (typeof chunk.file !== 'string' || path.basename(chunk.file) !== chunk.file ||
+                        !Number.isInteger(chunk.size) || !/^[0-9a-f]{64}$/.test(chunk.sha256)) {
+                    throw broken(`the stream ${index} has an invalid chunk: ${JSON.stringify(chunk)}`);
+                }
+            }
+            if (record.chunks.reduce((sum, c) => sum + c.size, 0) !== record.size) {
+                throw broken(`the size of the stream ${index} differs from the total size of its chunks`);
+            }
+        });
+    }
+
+    /**
+     * Verify the chunk files of a stream with the sizes and the SHA-256 digests on the manifest.
+     * @param {string} directory the directory storing the chunk files.
+     * @param {StreamRecord} record the stream.
+     * @throws {Error} if any of the chunk files is missing, truncated or corrupted.
+     */
+    static async #verifyStream(directory, record) {
+        for (const chunk of record.chunks) {
+            const chunkPath = path.join(directory, chunk.file);
+            const stat = fs.existsSync(chunkPath) ? await fsPromises.stat(chunkPath) : null;
+            if (stat?.size !== chunk.size) {
+                throw new Error(`A chunk is missing or truncated: ${chunkPath}`);
+            }
+
+            const hash = createHash('sha256');
+            await streamPromises.pipeline(fs.createReadStream(chunkPath), hash);
+            if (hash.digest('hex') !== chunk.sha256) {
+                throw new Error(`A chunk is corrupted, the SHA-256 digest differs from the manifest: ${chunkPath}`);
+            }
+        }
+    }
+}
+
+/**
+ * A stream splitting the data into the chunk files of the fixed size, and calculating their SHA-256 digests.
+ */
+class ChunkWriter extends stream.Writable {
+
+    /** @type {string} */
+    #directory;
+
+    /** @type {string} */
+    #baseName;
+
+    /** @type {number} */
+    #chunkSize;
+
+    /** @type {fsPromises.FileHandle|null} the chunk file writing */
+    #fileHandle = null;
+
+    /** @type {import('node:crypto').Hash|null} the digest of the chunk file writing */
+    #hash = null;
+
+    /** @type {number} the size written to the chunk file writing */
+    #written = 0;
+
+    /** @type {ChunkRecord[]} the chunk files written */
+    chunks = [];
+
+    /**
+     * Construct a ChunkWriter instance.
+     * @param {string} directory the directory storing the chunk files.
+     * @param {string} baseName the base name of the chunk files, which the sequence number is added to.
+     * @param {number} chunkSize the maximum size of a chunk file in bytes.
+     */
+    constructor(directory, baseName, chunkSize) {
+        super();
+        this.#directory = directory;
+        this.#baseName = baseName;
+        this.#chunkSize = chunkSize;
+    }
+
+    /**
+     * Get the total size of the chunk files written.
+     */
+    get size() {
+        return this.chunks.reduce((sum, c) => sum + c.size, 0);
+    }
+
+    /**
+     * Delete the chunk files written, on failing to write the stream.
+     */
+    async discard() {
+        await this.#fileHandle?.close();
+        this.#fileHandle = null;
+
+        const count = this.chunks.length + 1;
+        for (let sequence = 0; sequence < count; sequence++) {
+            await fsPromises.rm(path.join(this.#directory, this.#getFileName(sequence)), {force: true});
+        }
+        this.chunks = [];
+    }
+
+    /**
+     * @param {Buffer} data
+     * @param {BufferEncoding} _encoding
+     * @param {(error?: Error|null) => void} callback
+     */
+    _write(data, _encoding, callback) {
+        this.#writeAsync(data).then(() => callback(), callback);
+    }
+
+    /**
+     * @param {(error?: Error|null) => void} callback
+     */
+    _final(callback) {
+        this.#closeChunk().then(() => callback(), callback);
+    }
+
+    /**
+     * Write the data across the chunk files.
+     * @param {Buffer} data the data.
+     */
+    async #writeAsync(data) {
+        let offset = 0;
+        while (offset < data.length) {
+            if (!this.#fileHandle) {
+                this.#fileHandle = await fsPromises.open(path.join(this.#directory, this.#getFileName(this.chunks.length)), 'w');
+                this.#hash = createHash('sha256');
+                this.#written = 0;
+            }
+
+            const part = data.subarray(offset, offset + this.#chunkSize - this.#written);
+            await this.#fileHandle.writeFile(part);
+            this.#hash?.update(part);
+            this.#written += part.length;
+            offset += part.length;
+
+            if (this.#written === this.#chunkSize) {
+                await this.#closeChunk();
+            }
+        }
+    }
+
+    /**
+     * Close the chunk file writing, and record it.
+     */
+    async #closeChunk() {
+        if (!this.#fileHandle || !this.#hash) {
+            return;
+        }
+        // flush the chunk file before recording it on the manifest.
+        await this.#fileHandle.sync();
+        await this.#fileHandle.close();
+        this.#fileHandle = null;
+
+        this.chunks.push({file: this.#getFileName(this.chunks.length), size: this.#written, sha256: this.#hash.digest('hex')});
+        this.#hash = null;
+    }
+
+    /**
+     * Get the name of a chunk file.
+     * @param {number} sequence the sequence number of the chunk file.
+     * @returns {string} the name of the chunk file, e.g., '0001-elephant-2022-08-29-153407.0000'.
+     */
+    #getFileName(sequence) {
+        return `${this.#baseName}.${String(sequence).padStart(4, '0')}`;
+    }
+}
+
+/**
+ * Read the chunk files of a stream in order.
+ * @param {string} directory the directory storing the chunk files.
+ * @param {ChunkRecord[]} chunks the chunk files.
+ * @returns {AsyncGenerator<Buffer>} the data of the stream.
+ */
+async function* readChunks(directory, chunks) {
+    for (const chunk of chunks) {
+        yield* fs.createReadStream(path.join(directory, chunk.file));
+    }
+}
+
+/**
+ * Convert a name of a ZFS dataset or a snapshot to a file name, which non-ZFS media accept.
+ * @param {string} name a name of a ZFS dataset or a snapshot.
+ * @returns {string} the file name replaced ':' with '_', e.g., on FAT and on NTFS.
+ */
+function toFileName(name) {
+    return name.replace(/:/g, '_');
+}
@@ -0,0 +1,117 @@
+/**
+ * Copyright (c) 2022 Patineboot.
+ * All rights reserved.
+ *
+ * Elephant Backup is licensed under BSD 2-Clause License.
+ */
+'use strict'
+
+import { CommandLine } from './CommandLine.js';
+import { Configure } from './Configure.js';
+import { Logger } from './Logger.js';
+import { Process } from './Process.js';
+
+const logger = Logger.getLogger();
+
+/**
+ * @typedef {Object} HookContext what the hook script is run for.
+ * @property {string} filesystem the ZFS filesystem.
+ * @property {string} [snapshot] the name of the snapshot.
+ * @property {string} [archive] the archive ZFS filesystem.
+ * @property {string} [result] 'success' or 'failure'.
+ * @property {string} [error] the error message on the failure.
+ */
+
+/**
+ * A hook script run before and after taking a snapshot, backing up and pruning, and on the failure.
+ */
+export class Hook {
+
+    static PRE_SNAPSHOT = new Hook('pre-snapshot', () => Configure.HOOK_PRE_SNAPSHOT);
+    static POST_SNAPSHOT = new Hook('post-snapshot', () => Configure.HOOK_POST_SNAPSHOT);
+    static PRE_BACKUP = new Hook('pre-backup', () => Configure.HOOK_PRE_BACKUP);
+    static POST_BACKUP = new Hook('post-backup', () => Configure.HOOK_POST_BACKUP);
+    static PRE_PRUNE = new Hook('pre-prune', () => Configure.HOOK_PRE_PRUNE);
+    static POST_PRUNE = new Hook('post-prune', () => Configure.HOOK_POST_PRUNE);
+    static ON_FAILURE = new Hook('on-failure', () => Configure.HOOK_ON_FAILURE);
+
+    /** @type {WeakSet<Error>} the errors the on-failure hook has been run for */
+    static #notified = new WeakSet();
+
+    /** @type {string} */
+    #name;
+    /** @type {() => string|null} */
+    #getScript;
+
+    /**
+     * Construct a Hook instance.
+     * @param {string} name the name of the hook.
+     * @param {() => string|null} getScript get the configured path of the hook script, null if not configured.
+     */
+    constructor(name, getScript) {
+        this.#name = name;
+        this.#getScript = getScript;
+    }
+
+    get name() {
+        return this.#name;
+    }
+
+    /**
+     * Run the hook script with the environment variables describing the context.
+     * Skip it if the hook script is not configured or the '--no-hooks' option is specified.
+     * @param {HookContext} context what the hook script is run for.
+     * @throws {Error} if the hook script fails.
+     */
+    async run(context) {
+        const script = this.#getScript();
+        const option = CommandLine.getOption();
+        if (!script || option.hooks === false) {
+            return;
+        }
+
+        const environment = {
+            ELEPHANT_HOOK: this.#name,
+            ELEPHANT_FILESYSTEM: context.filesystem,
+            ELEPHANT_SNAPSHOT: context.snapshot ?? '',
+            ELEPHANT_ARCHIVE: context.archive ?? '',
+            ELEPHANT_RESULT: context.result ?? '',
+            ELEPHANT_ERROR: context.error ?? '',
+        };
+
+        logger.info(`Run the ${this.#name} hook on ${context.filesystem}: ${script}`);
+        const process = new Process(script);
+        process.setEnvironment(environment);
+        process.setStdoutHandler((data) => {
+            logger.print(`[${this.#name}] ${data.toString().trimEnd()}`);
+        });
+        await process.spawnIfNoDryRunAsync();
+    }
+
+    /**
+     * Run the on-failure hook for an error thrown by a step, once for the error rethrown through the nested steps,
+     * e.g., taking a snapshot in backing up.
+     * @param {HookContext} context what the hook script is run for.
+     * @param {Error} error the error thrown by the step.
+     */
+    static async runOnError(context, error) {
+        if (Hook.#notified.has(error)) {
+            return;
+        }
+        Hook.#notified.add(error);
+        await Hook.runOnFailure({...context, error: error.message});
+    }
+
+    /**
+     * Run the on-failure hook, and log its failure instead of throwing it.
+     * @param {HookContext} context what the hook script is run for.
+     */
+    static async runOnFailure(context) {
+        try {
+            await Hook.ON_FAILURE.run({...context, result: 'failure'});
+        }
+        catch (err) {
+            logger.error(`The ${Hook.ON_FAILURE.name} hook failed on ${context.filesystem}: ${/** @type {Error} */(err).message}`);
+        }
+    }
+}
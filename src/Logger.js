@@ -9,6 +9,7 @@
 import * as fsPromises from 'node:fs/promises';
 import * as fs from 'node:fs';
 import util from "node:util";
+import { AsyncLocalStorage } from 'node:async_hooks';
 import console from 'node:console';
 
 import { Configure } from "./Configure.js";
@@ -65,16 +66,95 @@ class LogWriter {
     writeLine(line) { // NOSONAR
         // nothing to do.
     }
+
+    /**
+     * Whether this LogWriter updates the status line or not.
+     * @returns {boolean} true if updates the status line, false if writes the summary lines instead.
+     */
+    get statusLine() {
+        return false;
+    }
+
+    /**
+     * Update the status line.
+     *
+     * @param {string} status a status, the empty string clears the status line.
+     */
+    // @ts-ignore
+    writeStatus(status) { // NOSONAR
+        // nothing to do.
+    }
 }
 
 class ConsoleLogWriter extends LogWriter {
+
+    /** @type {boolean} */
+    #stderr;
+
+    /**
+     * Constructor.
+     * @param {boolean} stderr true if write to the standard error, false if to the standard output.
+     */
+    constructor(stderr) {
+        super();
+        this.#stderr = stderr;
+    }
+
     /**
      * Write the message to the log file.
      * 
      * @param {string} line a line to write to the log file.
      */
      writeLine(line) {
-        console.log(line);
+        // print the line above the status line.
+        this.#clearStatus();
+        if (this.#stderr) {
+            console.error(line);
+        }
+        else {
+            console.log(line);
+        }
+        this.#renderStatus();
+    }
+
+    /** @type {string} the status line on the terminal */
+    #status = '';
+
+    /**
+     * Same as the super class, the status line is only on a terminal.
+     */
+    get statusLine() {
+        return this.#getStream().isTTY === true;
+    }
+
+    /**
+     * Same as the super class.
+     * @param {string} status a status, the empty string clears the status line.
+     */
+    writeStatus(status) {
+        this.#clearStatus();
+        this.#status = status;
+        this.#renderStatus();
+    }
+
+    #clearStatus() {
+        if (this.#status !== '') {
+            // move to the head of the line, and erase the line.
+            this.#getStream().write('\r\x1b[K');
+        }
+    }
+
+    #renderStatus() {
+        if (this.#status !== '') {
+            this.#getStream().write(this.#status);
+        }
+    }
+
+    /**
+     * @returns {NodeJS.WriteStream} the console stream.
+     */
+    #getStream() {
+        return this.#stderr ? process.stderr : process.stdout;
     }
 }
 
@@ -280,9 +360,15 @@ export class Logger {
     /** @type{LogType} The log level. */
     #logLevel = LogLevel.PRINT;
 
+    /** @type {AsyncLocalStorage<string>} The name prefixing the log messages of a task running concurrently. */
+    #taskName = new AsyncLocalStorage();
+
     /** @type {LogWriter[]} */
     #logWriter = [];
 
+    /** @type {boolean} true if print the log messages to the standard error. */
+    #consoleToStderr = false;
+
     /**
      * Constructor
      */
@@ -310,6 +396,14 @@ export class Logger {
         this.#logLongFormat = true;
     }
 
+    /**
+     * Print the log messages to the standard error, and leave the standard output to the output method.
+     * Call it before starting logging.
+     */
+    redirectConsoleToStderr() {
+        this.#consoleToStderr = true;
+    }
+
     /**
      * Print a log message.
      * @param {LogType} level
@@ -323,15 +417,50 @@ export class Logger {
 
         const message = util.format(format, ...params);
 
+        // Get the caller calling the public methods of this instance.
+        const caller = getCaller();
+
+        // Print the log message.
+        const prefix = this.#makePrefix(level, caller);
+        this.#writeLine(`${prefix} ${message}`)
+    }
+
+    /**
+     * Print a progress status.
+     * @param {string} status a status, the empty string clears the status line.
+     * @param {string[]} summaries the summaries.
+     */
+    #printStatus(status, summaries) {
+        if (LogLevel.PROG.LEVEL < this.#logLevel.LEVEL) {
+            return;
+        }
+
+        const caller = getCaller();
+        const prefix = this.#makePrefix(LogLevel.PROG, caller);
+        for (const writer of this.#logWriter) {
+            if (writer.statusLine) {
+                writer.writeStatus(status);
+                continue;
+            }
+            for (const summary of summaries) {
+                writer.writeLine(`${prefix} ${summary}`);
+            }
+        }
+    }
+
+    /**
+     * Make the prefix of a log message.
+     * @param {LogType} level
+     * @param {{filename: string, lineno: number}} caller the caller calling the public methods of this instance.
+     * @returns {string} the short or long prefix.
+     */
+    #makePrefix(level, caller) {
         // Get the current time in ISO format.
         const date = new Date();
         date.setMinutes(date.getMinutes() - date.getTimezoneOffset());
         const dateIsoString = date.toISOString();
         const dateString = dateIsoString.substring(0, dateIsoString.length -1);
 
-        // Get the caller calling the public methods of this instance.
-        const caller = getCaller();
-
         // Make the short and long prefix.
         const shortDate = dateString.split('T');
         const shortPrefix = 
@@ -339,9 +468,11 @@ export class Logger {
         const longPrefix = 
                 `[${dateString}]${caller.filename}:${caller.lineno}[${level.TAG}]`;
 
-        // Print the log message.
-        const prefix = this.#logLongFormat ? longPrefix : shortPrefix;
-        this.#writeLine(`${prefix} ${message}`)
+        // tell the interleaved messages of the tasks running concurrently apart.
+        const taskName = this.#taskName.getStore();
+        const taskPrefix = taskName ? `[${taskName}]` : '';
+
+        return (this.#logLongFormat ? longPrefix : shortPrefix) + taskPrefix;
     }
 
     /**
@@ -367,7 +498,7 @@ export class Logger {
      * Start logging, and Prints the first log message on terminal.
      */
      async startLog() {
-        this.#logWriter.push(new ConsoleLogWriter());
+        this.#logWriter.push(new ConsoleLogWriter(this.#consoleToStderr));
         this.#logWriter.push(new FileLogWriter());
 
         await this.#prepare();
@@ -385,6 +516,36 @@ export class Logger {
         this.#printLog(LogLevel.PRINT, format, ...params);
     }
 
+    /**
+     * Output a raw text to the standard output without the prefix and the log file,
+     * e.g., the machine-readable output.
+     * @param {string} text a text.
+     */
+    output(text) {
+        process.stdout.write(`${text}\n`);
+    }
+
+    /**
+     * Prints a progress status, which updates a single line on a terminal,
+     * and prints the summaries as progress messages on the others, e.g., on the log file.
+     * @param {string} status a status, the empty string clears the status line.
+     * @param {string[]} summaries the summaries, which are none except periodically.
+     */
+    status(status, summaries = []) {
+        this.#printStatus(status, summaries);
+    }
+
+    /**
+     * Run a task prefixing its log messages with a name, e.g., of a ZFS filesystem backed up concurrently.
+     * @template T
+     * @param {string} name the name of the task.
+     * @param {() => Promise<T>} task a task.
+     * @returns {Promise<T>} the result of the task.
+     */
+    runTask(name, task) {
+        return this.#taskName.run(name, task);
+    }
+
     /**
      * Prints an error message.
      * @param {any} format
@@ -8,6 +8,7 @@
 
 import child_process from 'node:child_process';
 import stream from 'node:stream'; // NOSONAR
+import * as streamPromises from 'node:stream/promises';
 import { Logger } from './Logger.js';
 import { CommandLine } from './CommandLine.js';
 
@@ -25,6 +26,21 @@ export class Process {
      */
     #pipedProcess = null;
 
+    /**
+     * @type {stream.Writable|null} a stream writing the stdout to.
+     */
+    #stdoutStream = null;
+
+    /**
+     * @type {stream.Transform|null} a stream passing the stdout through to the piped process or to the stream.
+     */
+    #stdoutTransform = null;
+
+    /**
+     * @type {number} the size of the stdout passed through to the piped process or to the stream in bytes.
+     */
+    #stdoutSize = 0;
+
     /**
      * @type {((data: any) => void)}
      */
@@ -41,6 +57,12 @@ export class Process {
      */
     #syncResult = false;
 
+    /**
+     * The environment variables added to the environment of this application.
+     * @type {Object<string, string>}
+     */
+    #environment = {};
+
     /**
      * Print the standard out immediately.
      * @type {boolean}
@@ -103,16 +125,23 @@ export class Process {
         const cmd = tokens[0];
         tokens.splice(0, 1);
 
+        const env = {...process.env, ...this.#environment};
         const child = 
-                child_process.spawn(cmd, tokens, {stdio: ['pipe', 'pipe', 'pipe']});
+                child_process.spawn(cmd, tokens, {stdio: ['pipe', 'pipe', 'pipe'], env});
         const promises = [];
 
         // relay the stdin variable to the child's stdin.
         stdin?.pipe(child.stdin);
 
+        // pass the child's stdout through the transform, e.g., limiting the rate.
+        const transformed = this.#stdoutTransform ? child.stdout.pipe(this.#stdoutTransform) : child.stdout;
+
+        // count the size of the child's stdout passing through to the piped process or to the stream.
+        const output = this.#pipedProcess || this.#stdoutStream ? transformed.pipe(this.#createCounter()) : transformed;
+
         // bind the child's stdout and the next command's stdin. 
         if (this.#pipedProcess) {
-            const nextPromise = this.#pipedProcess.spawnAsync(child.stdout);
+            const nextPromise = this.#pipedProcess.spawnAsync(output);
             promises.push(nextPromise);
         }
 
@@ -120,7 +149,10 @@ export class Process {
         const promise = this.#createPromise(child);
         promises.push(promise);
 
-        const stdout = await Promise.all(promises);
+        // write the child's stdout to the stream, which holds the child back while the stream is busy.
+        const written = this.#stdoutStream ? streamPromises.pipeline(output, this.#stdoutStream) : null;
+
+        const [stdout] = await Promise.all([Promise.all(promises), written]);
 
         return stdout[0];
     }
@@ -132,13 +164,13 @@ export class Process {
     #createPromise(child) {
         let stdout = '';
 
-        const promise = new Promise((resolve, _) => {
-            // skip this stdout handler if piped stdout to the child's stdin
-            if (!this.#pipedProcess) {
+        const promise = new Promise((resolve, reject) => {
+            // skip this stdout handler if piped stdout to the child's stdin or to the stream.
+            if (!this.#pipedProcess && !this.#stdoutStream) {
                 child.stdout?.on('data', (data) => {
                     if (this.#syncResult) {
-                        const dataString = data.toString().trimEnd();
-                        stdout += dataString;
+                        // keep the line feeds between the chunks, trim the end of the whole stdout on closing.
+                        stdout += data.toString();
                     }
                     else {
                         this.#stdoutHandler.call(this, data);
@@ -157,16 +189,17 @@ export class Process {
             });    
             child.on('error', (err) => {
                 logger.debug(`Error Command: ${this.#commandWithArguments}`);
-                throw err;
+                reject(err);
             });
             child.on('close', (code, signal) => {
                 logger.debug(`${this.#commandWithArguments} close with code: ${code} / signal: ${signal}`);
                 if (code != 0 ||
                         signal) {
                     logger.error(`${this.#commandWithArguments} close error with code: ${code} / signal: ${signal}`);
-                    throw new Error(`CMD: "${this.#commandWithArguments}" with code: ${code} / signal: ${signal}`);
+                    reject(new Error(`CMD: "${this.#commandWithArguments}" with code: ${code} / signal: ${signal}`));
+                    return;
                 }
-                resolve(stdout);
+                resolve(stdout.trimEnd());
             });
         });
         return promise;
@@ -187,6 +220,27 @@ export class Process {
         return result;
     }
 
+    /**
+     * Create a transform counting the size of the stdout passing through.
+     * @returns {stream.Transform} the transform.
+     */
+    #createCounter() {
+        return new stream.Transform({
+            transform: (chunk, _, callback) => {
+                this.#stdoutSize += chunk.length;
+                callback(null, chunk);
+            },
+        });
+    }
+
+    /**
+     * Get the size of the standard out passed through to the piped process or to the stream.
+     * @returns {number} the size in bytes.
+     */
+    get StdoutSize() {
+        return this.#stdoutSize;
+    }
+
     /**
      * Add a process to this instance.
      * @param {Process|null} process a process to be piped. if null, bind the stdout to the null device.
@@ -211,6 +265,30 @@ export class Process {
         this.#stdoutHandler = handler;
     }
 
+    /**
+     * Set a stream to this instance, which the standard out is written to instead of the standard out handler.
+     * @param {stream.Writable} stdoutStream a stream writing the standard out to.
+     */
+    setStdoutStream(stdoutStream) {
+        this.#stdoutStream = stdoutStream;
+    }
+
+    /**
+     * Set a transform to this instance, which the standard out passes through to the piped process or to the stream.
+     * @param {stream.Transform} stdoutTransform a transform of the standard out.
+     */
+    setStdoutTransform(stdoutTransform) {
+        this.#stdoutTransform = stdoutTransform;
+    }
+
+    /**
+     * Set the environment variables added to the environment of this application.
+     * @param {Object<string, string>} environment the environment variables.
+     */
+    setEnvironment(environment) {
+        this.#environment = environment;
+    }
+
     /**
      * Change the standout behavior to get the standout as the return value.
      */
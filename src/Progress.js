@@ -0,0 +1,252 @@
+/**
+ * Copyright (c) 2022 Patineboot.
+ * All rights reserved.
+ *
+ * Elephant Backup is licensed under BSD 2-Clause License.
+ */
+'use strict'
+
+import { Logger } from './Logger.js';
+import { ZfsUtilities } from './ZfsUtilities.js';
+
+const logger = Logger.getLogger();
+
+/**
+ * The progress of sending a ZFS filesystem, or of the whole run summing up them.
+ * The progress is printed as a single updating line on a terminal, and as the periodic summary lines on the log file.
+ */
+export class Progress {
+
+    /** @type {number} The interval of printing the summary lines in milliseconds */
+    static SUMMARY_INTERVAL = 60 * 1000;
+
+    /** @type {number} The period measuring the current throughput in milliseconds */
+    static CURRENT_PERIOD = 10 * 1000;
+
+    /** @type {Progress} the progress of the whole run */
+    static #whole = new Progress('all', 0, null);
+
+    /** @type {number} the number of the ZFS filesystems started sending in the run */
+    static #count = 0;
+
+    /** @type {Set<Progress>} the progresses of the ZFS filesystems sending concurrently */
+    static #active = new Set();
+
+    /** @type {string} */
+    #name;
+
+    /** @type {number|null} the total size in bytes, null if unknown */
+    #total;
+
+    /** @type {number} the size sent in bytes */
+    #sent = 0;
+
+    /** @type {Progress|null} the progress of the whole run, null if this is the one */
+    #run;
+
+    /** @type {number} the time starting in milliseconds */
+    #startTime = Date.now();
+
+    /** @type {number} the time printing the previous summary line in milliseconds */
+    #summaryTime = Date.now();
+
+    /** @type {{time: number, sent: number}[]} the sizes sent in the current period */
+    #samples = [{time: Date.now(), sent: 0}];
+
+    /**
+     * Construct a Progress instance.
+     * @param {string} name the name of the progress, e.g., the ZFS filesystem.
+     * @param {number|null} total the total size in bytes, null if unknown.
+     * @param {Progress|null} run the progress of the whole run, null if this is the one.
+     */
+    constructor(name, total, run) {
+        this.#name = name;
+        this.#total = total;
+        this.#run = run;
+    }
+
+    /**
+     * Start the progress of sending a ZFS filesystem, which the progress of the whole run sums up.
+     * @param {string} name the ZFS filesystem.
+     * @param {number|null} total the estimated size in bytes, null if unknown.
+     * @returns {Progress} the progress.
+     */
+    static start(name, total) {
+        const run = Progress.#whole;
+        run.#total = (run.#total ?? 0) + (total ?? 0);
+        Progress.#count++;
+        const progress = new Progress(name, total, run);
+        Progress.#active.add(progress);
+        return progress;
+    }
+
+    /**
+     * Set the total size, e.g., estimated by the sending command itself.
+     * @param {number} total the total size in bytes.
+     */
+    setTotal(total) {
+        if (this.#run) {
+            this.#run.#total = (this.#run.#total ?? 0) + total - (this.#total ?? 0);
+        }
+        this.#total = total;
+    }
+
+    /**
+     * Update the size sent, and print the progress.
+     * @param {number} sent the size sent in bytes.
+     */
+    update(sent) {
+        const delta = sent - this.#sent;
+        if (delta <= 0) {
+            return;
+        }
+        this.#add(delta);
+        if (this.#run) {
+            this.#run.#add(delta);
+        }
+        this.#print();
+    }
+
+    /**
+     * Finish the progress, and print the last summary line.
+     */
+    finish() {
+        // the last progress line is up to a second before finishing.
+        if (this.#total !== null) {
+            this.update(this.#total);
+        }
+        Progress.#active.delete(this);
+        logger.status(Progress.#getStatus());
+        if (this.#sent > 0) {
+            for (const line of this.#getLines()) {
+                logger.prog(line);
+            }
+        }
+    }
+
+    /**
+     * Get the percentage of the size sent.
+     * @returns {number|null} the percentage, or null if the total size is unknown.
+     */
+    get Percent() {
+        return this.#total ? Math.min(100, this.#sent * 100 / this.#total) : null;
+    }
+
+    /**
+     * Get the average throughput from starting.
+     * @returns {number} the throughput in bytes per second.
+     */
+    get AverageRate() {
+        const elapsed = Date.now() - this.#startTime;
+        return elapsed > 0 ? this.#sent * 1000 / elapsed : 0;
+    }
+
+    /**
+     * Get the current throughput in the current period.
+     * @returns {number} the throughput in bytes per second.
+     */
+    get CurrentRate() {
+        const oldest = this.#samples[0];
+        const latest = this.#samples[this.#samples.length - 1];
+        const elapsed = latest.time - oldest.time;
+        return elapsed > 0 ? (latest.sent - oldest.sent) * 1000 / elapsed : this.AverageRate;
+    }
+
+    /**
+     * Get the estimated time to finish at the current throughput.
+     * @returns {number|null} the time in seconds, or null if unknown.
+     */
+    get Eta() {
+        const rate = this.CurrentRate || this.AverageRate;
+        if (this.#total === null || rate <= 0) {
+            return null;
+        }
+        return Math.max(0, this.#total - this.#sent) / rate;
+    }
+
+    /**
+     * Format the progress, e.g., 'root.pool: 1.20G / 3.40G (35%), 10.00M/s, average 8.20M/s, ETA 4m32s'.
+     * @returns {string} the progress.
+     */
+    format() {
+        const percent = this.Percent;
+        const total = this.#total && percent !== null ?
+                ` / ${ZfsUtilities.formatSize(this.#total)} (${Math.floor(percent)}%)` : '';
+        const eta = this.Eta;
+        const etaString = eta === null ? '' : `, ETA ${Progress.formatDuration(eta)}`;
+        return `${this.#name}: ${ZfsUtilities.formatSize(this.#sent)}${total}, ` +
+                `${ZfsUtilities.formatSize(this.CurrentRate)}/s, average ${ZfsUtilities.formatSize(this.AverageRate)}/s${etaString}`;
+    }
+
+    /**
+     * Format a duration, e.g., '1h02m', '4m32s' or '12s'.
+     * @param {number} seconds the duration in seconds.
+     * @returns {string} the duration.
+     */
+    static formatDuration(seconds) {
+        const total = Math.round(seconds);
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor(total % 3600 / 60);
+        const rest = total % 60;
+        if (hours > 0) {
+            return `${hours}h${String(minutes).padStart(2, '0')}m`;
+        }
+        if (minutes > 0) {
+            return `${minutes}m${String(rest).padStart(2, '0')}s`;
+        }
+        return `${rest}s`;
+    }
+
+    /**
+     * Add the size sent, and drop the samples out of the current period.
+     * @param {number} delta the size sent additionally in bytes.
+     */
+    #add(delta) {
+        const now = Date.now();
+        this.#sent += delta;
+        this.#samples.push({time: now, sent: this.#sent});
+
+        // keep the sample at the start of the current period.
+        while (this.#samples.length > 2 && this.#samples[1].time <= now - Progress.CURRENT_PERIOD) {
+            this.#samples.shift();
+        }
+    }
+
+    /**
+     * Get the lines of the progress with the progress of the whole run if sending more than one ZFS filesystem.
+     * @returns {string[]} the lines.
+     */
+    #getLines() {
+        const run = this.#run;
+        const lines = [this.format()];
+        if (run && Progress.#count > 1) {
+            lines.push(run.format());
+        }
+        return lines;
+    }
+
+    /**
+     * Get the status of the ZFS filesystems sending concurrently, and of the whole run.
+     * @returns {string} the status, the empty string if sending none.
+     */
+    static #getStatus() {
+        const active = [...Progress.#active];
+        const lines = active.map(p => p.format());
+        if (active.length > 0 && Progress.#count > 1) {
+            lines.push(Progress.#whole.format());
+        }
+        return lines.join(' | ');
+    }
+
+    /**
+     * Print the progress, and the summary lines periodically.
+     */
+    #print() {
+        const now = Date.now();
+        const periodic = now - this.#summaryTime >= Progress.SUMMARY_INTERVAL;
+        if (periodic) {
+            this.#summaryTime = now;
+        }
+        logger.status(Progress.#getStatus(), periodic ? this.#getLines() : []);
+    }
+}
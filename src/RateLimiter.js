@@ -0,0 +1,221 @@
+/**
+ * Copyright (c) 2022 Patineboot.
+ * All rights reserved.
+ *
+ * Elephant Backup is licensed under BSD 2-Clause License.
+ */
+'use strict'
+
+import stream from 'node:stream'; // NOSONAR
+import { setTimeout } from 'node:timers/promises';
+
+import { Logger } from './Logger.js';
+import { ZfsUtilities } from './ZfsUtilities.js';
+/** @typedef {import('./Configure.js').RateWindow} RateWindow */
+/** @typedef {import('./Process.js').Process} Process */
+
+const logger = Logger.getLogger();
+
+/**
+ * A limiter of the rate of sending the snapshots, which all of the send streams in a run share.
+ * The rate is the one of the time-of-day window at the moment, or the default rate out of the windows,
+ * and SIGUSR1 halves and SIGUSR2 doubles it until the window changes.
+ */
+export class RateLimiter {
+
+    /** @type {number} The maximum size passing through a throttle at once not to wait too long on a low rate */
+    static SLICE_SIZE = 16 * 1024;
+
+    /** @type {RateLimiter|null} */
+    static #limiter = null;
+
+    /** @type {number|null} the default rate in bytes per second, null if unlimited */
+    #defaultRate;
+
+    /** @type {RateWindow[]} */
+    #schedule;
+
+    /** @type {{scheduled: number|null, rate: number}|null} the rate adjusted with a signal for the scheduled rate */
+    #adjustment = null;
+
+    /** @type {number} the time when the next data is allowed to pass in milliseconds */
+    #next = 0;
+
+    /** @type {number|null} the time when the first data passed in milliseconds */
+    #startTime = null;
+
+    /** @type {number} the total size passed in bytes */
+    #passedBytes = 0;
+
+    /** @type {number|null|undefined} the rate of the previous data, undefined if no data passed */
+    #previousRate = undefined;
+
+    /**
+     * Construct a RateLimiter instance.
+     * @param {number|null} defaultRate the rate out of the windows in bytes per second, null if unlimited.
+     * @param {RateWindow[]} schedule the time-of-day windows.
+     */
+    constructor(defaultRate, schedule) {
+        this.#defaultRate = defaultRate;
+        this.#schedule = schedule;
+    }
+
+    /**
+     * Start limiting the rate of sending the snapshots in this run, and adjust it on SIGUSR1 and SIGUSR2.
+     * Note that the handler of SIGUSR1 disables the Node.js debugger started on SIGUSR1.
+     * @param {number|null} defaultRate the rate out of the windows in bytes per second, null if unlimited.
+     * @param {RateWindow[]} schedule the time-of-day windows.
+     */
+    static start(defaultRate, schedule) {
+        const limiter = new RateLimiter(defaultRate, schedule);
+        process.on('SIGUSR1', () => limiter.adjust(0.5));
+        process.on('SIGUSR2', () => limiter.adjust(2));
+        RateLimiter.#limiter = limiter;
+    }
+
+    /**
+     * Limit the rate of the standard out of a process, if limiting in this run.
+     * @param {Process} process a process sending the snapshots.
+     */
+    static limit(process) {
+        const limiter = RateLimiter.#limiter;
+        if (limiter) {
+            process.setStdoutTransform(new Throttle(limiter));
+        }
+    }
+
+    /**
+     * Get the rate at the moment.
+     * @param {Date} now the moment.
+     * @returns {number|null} the rate in bytes per second, or null if unlimited.
+     */
+    getRate(now = new Date()) {
+        const scheduled = this.#getScheduledRate(now);
+
+        // the adjustment lasts until the scheduled rate changes.
+        if (this.#adjustment && this.#adjustment.scheduled !== scheduled) {
+            this.#adjustment = null;
+        }
+        return this.#adjustment?.rate ?? scheduled;
+    }
+
+    /**
+     * Adjust the rate at the moment until the window changes.
+     * @param {number} factor the factor multiplying the rate, e.g., 0.5 halves it.
+     */
+    adjust(factor) {
+        const rate = this.getRate();
+        if (rate === null && factor > 1) {
+            logger.print('The rate is already unlimited.');
+            return;
+        }
+
+        // an unlimited rate is limited from the rate measured so far.
+        const current = rate ?? this.#getMeasuredRate();
+        if (!current) {
+            logger.warn('Cannot limit the rate before sending any data.');
+            return;
+        }
+        const adjusted = Math.max(1, Math.round(current * factor));
+        this.#adjustment = {scheduled: this.#getScheduledRate(new Date()), rate: adjusted};
+        this.#previousRate = adjusted;
+        logger.print(`Limit the rate to ${formatRate(adjusted)}`);
+    }
+
+    /**
+     * Wait until the data is allowed to pass.
+     * @param {number} bytes the size of the data.
+     */
+    async acquire(bytes) {
+        const now = Date.now();
+        this.#startTime ??= now;
+        this.#passedBytes += bytes;
+
+        const rate = this.getRate(new Date(now));
+        if (rate !== this.#previousRate) {
+            logger.info(`Limit the rate to ${formatRate(rate)}`);
+            this.#previousRate = rate;
+        }
+        if (rate === null) {
+            this.#next = now;
+            return;
+        }
+
+        // let the data pass after the time sending it at the rate from the previous data.
+        this.#next = Math.max(this.#next, now) + bytes * 1000 / rate;
+        const delay = this.#next - now;
+        if (delay > 0) {
+            await setTimeout(delay);
+        }
+    }
+
+    /**
+     * Get the rate scheduled at the moment.
+     * @param {Date} now the moment.
+     * @returns {number|null} the rate in bytes per second, or null if unlimited.
+     */
+    #getScheduledRate(now) {
+        const minutes = now.getHours() * 60 + now.getMinutes();
+        const window = this.#schedule.find(w => w.from < w.to ?
+                w.from <= minutes && minutes < w.to :
+                w.from <= minutes || minutes < w.to);
+        return window ? window.rate : this.#defaultRate;
+    }
+
+    /**
+     * Get the average rate of the data passed so far.
+     * @returns {number} the rate in bytes per second, 0 if no data passed.
+     */
+    #getMeasuredRate() {
+        const elapsed = this.#startTime === null ? 0 : Date.now() - this.#startTime;
+        return elapsed > 0 ? this.#passedBytes * 1000 / elapsed : 0;
+    }
+}
+
+/**
+ * A stream passing the data through at the rate of a limiter.
+ */
+class Throttle extends stream.Transform {
+
+    /** @type {RateLimiter} */
+    #limiter;
+
+    /**
+     * Construct a Throttle instance.
+     * @param {RateLimiter} limiter the limiter of the rate.
+     */
+    constructor(limiter) {
+        super();
+        this.#limiter = limiter;
+    }
+
+    /**
+     * @param {Buffer} chunk
+     * @param {BufferEncoding} _encoding
+     * @param {stream.TransformCallback} callback
+     */
+    _transform(chunk, _encoding, callback) {
+        this.#pass(chunk).then(() => callback(), callback);
+    }
+
+    /**
+     * Pass the data through in the slices.
+     * @param {Buffer} chunk the data.
+     */
+    async #pass(chunk) {
+        for (let offset = 0; offset < chunk.length; offset += RateLimiter.SLICE_SIZE) {
+            const slice = chunk.subarray(offset, offset + RateLimiter.SLICE_SIZE);
+            await this.#limiter.acquire(slice.length);
+            this.push(slice);
+        }
+    }
+}
+
+/**
+ * Format a rate with the unit suffix.
+ * @param {number|null} rate a rate in bytes per second, null if unlimited.
+ * @returns {string} the rate, e.g., '10.00M/s' or 'unlimited'.
+ */
+function formatRate(rate) {
+    return rate === null ? 'unlimited' : `${ZfsUtilities.formatSize(rate)}/s`;
+}
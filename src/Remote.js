@@ -0,0 +1,99 @@
+/**
+ * Copyright (c) 2022 Patineboot.
+ * All rights reserved.
+ *
+ * Elephant Backup is licensed under BSD 2-Clause License.
+ */
+'use strict'
+
+import path from 'node:path';
+
+import { Configure } from './Configure.js';
+import { Logger } from './Logger.js';
+import { Process } from './Process.js';
+
+const logger = Logger.getLogger();
+
+/**
+ * A remote host running the commands on an archive over ssh.
+ */
+export class Remote {
+
+    /** @type {string} */
+    #destination;
+
+    /**
+     * Construct a Remote instance.
+     * @param {string} destination the destination of the ssh command, e.g., 'backup@nas'.
+     */
+    constructor(destination) {
+        this.#destination = destination;
+    }
+
+    /**
+     * Parse an archive specification.
+     * @param {string} spec a ZFS filesystem, or a ZFS filesystem on a remote host, e.g., 'backup@nas:tank/archive'.
+     * @returns {{remote: Remote|null, filesystem: string}} the remote host, null if local, and the ZFS filesystem.
+     */
+    static parse(spec) {
+        // a ZFS filesystem has no '@', and a ZFS pool has no '/' before ':'.
+        const match = spec.match(/^((?:[^@:/\s]+@)?[^@:/\s]+):([^@\s]+)$/);
+        if (!match) {
+            return {remote: null, filesystem: spec};
+        }
+        return {remote: new Remote(match[1]), filesystem: match[2]};
+    }
+
+    /**
+     * Get the command running a command on the remote host.
+     * @param {string} command a command.
+     * @returns {string} the ssh command running the command.
+     */
+    toCommand(command) {
+        const port = Configure.SSH_PORT ? `-p ${Configure.SSH_PORT}` : '';
+        const identity = Configure.SSH_IDENTITY ? `-i ${Configure.SSH_IDENTITY}` : '';
+        return `${Configure.SSH_COMMAND} ${port} ${identity} ${this.#destination} ${command}`;
+    }
+
+    /**
+     * Create a process of a command run on the remote host, or on this machine.
+     * @param {string} command a command.
+     * @param {Remote|null} remote the remote host, or null if this machine.
+     * @returns {Process} the process.
+     */
+    static newProcess(command, remote) {
+        const process = new Process(remote ? remote.toCommand(command) : command);
+        return process;
+    }
+
+    /**
+     * Get the digests of the files in a directory on the remote host without crossing the mount points.
+     * @param {string} directory the absolute path of a directory.
+     * @returns {Promise<{directories: Set<string>, digests: Map<string, string>}>}
+     *     the paths of the directories, and the SHA-1 digests in hexadecimal by the path of the files.
+     */
+    async getDigests(directory) {
+        const directoryProcess = new Process(this.toCommand(`find ${directory} -xdev -type d`));
+        directoryProcess.syncResult();
+        const directoryResult = await directoryProcess.spawnAsync();
+        const directories = new Set((directoryResult === '' ? [] : directoryResult.split('\n')).map(d => path.resolve(d)));
+
+        const fileProcess = new Process(this.toCommand(`find ${directory} -xdev ! -type d -exec sha1sum {} +`));
+        fileProcess.syncResult();
+        const fileResult = await fileProcess.spawnAsync();
+
+        // sha1sum prints the '<digest><SPACE><SPACE><path>' lines.
+        /** @type {Map<string, string>} */
+        const digests = new Map();
+        for (const line of fileResult === '' ? [] : fileResult.split('\n')) {
+            const [digest, ...names] = line.split('  ');
+            digests.set(path.resolve(names.join('  ')), digest);
+        }
+        logger.debug(`Read ${digests.size} files in ${directory} on ${this.#destination}`);
+        return {directories, digests};
+    }
+
+    toString() {
+        return this.#destination;
+    }
+}
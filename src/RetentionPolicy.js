@@ -0,0 +1,313 @@
+/**
+ * Copyright (c) 2022 Patineboot.
+ * All rights reserved.
+ *
+ * Elephant Backup is licensed under BSD 2-Clause License.
+ */
+'use strict'
+
+import { Configure } from './Configure.js';
+import { Logger } from './Logger.js';
+import { ZfsUtilities } from './ZfsUtilities.js';
+
+const logger = Logger.getLogger();
+
+/** @typedef {import('./Remote.js').Remote} Remote */
+
+/**
+ * @typedef {Object} RetentionDecision the decision to keep or destroy a snapshot.
+ * @property {string} snapshot the name of the snapshot.
+ * @property {boolean} keep true if keep the snapshot, false if destroy it.
+ * @property {RetentionTier|null} tier the tier keeping the snapshot, null if no tiers keep it.
+ * @property {string} reason the reason of the decision.
+ * @property {boolean} pinned true if only a pin keeps the snapshot, e.g., the hold.
+ */
+
+/**
+ * A tier of the grandfather-father-son retention, which keeps one snapshot per one period.
+ */
+export class RetentionTier {
+
+    static HOURLY = new RetentionTier('hourly', 'elephant:keep-hours', 'elephant:archive-keep-hours',
+            // the offset separates the hour repeated at the end of DST.
+            (date) => `${getDay(date)}T${pad(date.getHours())}${getOffset(date)}`);
+
+    static DAILY = new RetentionTier('daily', 'elephant:keep-days', 'elephant:archive-keep-days',
+            (date) => getDay(date));
+
+    static WEEKLY = new RetentionTier('weekly', 'elephant:keep-weeks', 'elephant:archive-keep-weeks',
+            (date) => {
+                // the week starts on Monday.
+                const monday = new Date(date);
+                monday.setDate(monday.getDate() - (monday.getDay() + 6) % 7);
+                return `week of ${getDay(monday)}`;
+            });
+
+    static MONTHLY = new RetentionTier('monthly', 'elephant:keep-months', 'elephant:archive-keep-months',
+            (date) => `${date.getFullYear()}-${pad(date.getMonth() + 1)}`);
+
+    static YEARLY = new RetentionTier('yearly', 'elephant:keep-years', 'elephant:archive-keep-years',
+            (date) => `${date.getFullYear()}`);
+
+    /** @type {RetentionTier[]} All of the tiers from the youngest. */
+    static ALL = [
+        RetentionTier.HOURLY,
+        RetentionTier.DAILY,
+        RetentionTier.WEEKLY,
+        RetentionTier.MONTHLY,
+        RetentionTier.YEARLY,
+    ];
+
+    /** @type {string} */
+    #name;
+    /** @type {string} */
+    #property;
+    /** @type {string} */
+    #archiveProperty;
+    /** @type {(date: Date) => string} */
+    #getBucket;
+
+    /**
+     * Construct a RetentionTier instance.
+     * @param {string} name the name of the tier.
+     * @param {string} property the ZFS user property of the number of snapshots keeping.
+     * @param {string} archiveProperty the ZFS user property of the number of snapshots keeping on an archive.
+     * @param {(date: Date) => string} getBucket get the period containing a date.
+     */
+    constructor(name, property, archiveProperty, getBucket) {
+        this.#name = name;
+        this.#property = property;
+        this.#archiveProperty = archiveProperty;
+        this.#getBucket = getBucket;
+    }
+
+    get name() {
+        return this.#name;
+    }
+
+    get property() {
+        return this.#property;
+    }
+
+    get archiveProperty() {
+        return this.#archiveProperty;
+    }
+
+    /**
+     * Get the bucket, meaning the period of this tier, containing a date.
+     * @param {Date} date a date of a snapshot.
+     * @returns {string} the bucket, e.g., '2022-08' on the monthly tier.
+     */
+    getBucket(date) {
+        return this.#getBucket(date);
+    }
+}
+
+/**
+ * The numbers of snapshots keeping on a ZFS filesystem by the tiers.
+ */
+export class RetentionPolicy {
+
+    /** @type {string} The value of the number keeping all of the snapshots on a tier. */
+    static FOREVER = 'forever';
+
+    /** @type {string} The ZFS user property of the number of days keeping the labeled snapshots. */
+    static PROPERTY_KEEP_LABELED = 'elephant:keep-labeled';
+
+    /** @type {string} The ZFS user property of the number of days keeping the labeled snapshots on an archive. */
+    static PROPERTY_ARCHIVE_KEEP_LABELED = 'elephant:archive-keep-labeled';
+
+    /** @type {Map<RetentionTier, number>} */
+    #keeps;
+
+    /** @type {number} */
+    #keepLabeledDays;
+
+    /**
+     * @type {string[]} where the numbers come from, e.g., 'elephant:keep-days=3 inherited from rpool/var'.
+     */
+    #sources;
+
+    /**
+     * Construct a RetentionPolicy instance.
+     * @param {Map<RetentionTier, number>} keeps the numbers of snapshots keeping by the tiers, Infinity stands for forever.
+     * @param {number} keepLabeledDays the number of days keeping the labeled snapshots, Infinity stands for forever.
+     * @param {string[]} sources where the numbers come from.
+     */
+    constructor(keeps, keepLabeledDays, sources = []) {
+        this.#keeps = keeps;
+        this.#keepLabeledDays = keepLabeledDays;
+        this.#sources = sources;
+    }
+
+    /**
+     * Get the default retention policy from the configuration.
+     * @param {boolean} archive true if the policy on an archive, false if on a primary.
+     * @returns {RetentionPolicy} the default retention policy.
+     */
+    static getDefault(archive = false) {
+        if (archive) {
+            const keeps = new Map([
+                [RetentionTier.HOURLY, Configure.ARCHIVE_KEEP_HOURS],
+                [RetentionTier.DAILY, Configure.ARCHIVE_KEEP_DAYS],
+                [RetentionTier.WEEKLY, Configure.ARCHIVE_KEEP_WEEKS],
+                [RetentionTier.MONTHLY, Configure.ARCHIVE_KEEP_MONTHS],
+                [RetentionTier.YEARLY, Configure.ARCHIVE_KEEP_YEARS],
+            ]);
+            const policy = new RetentionPolicy(keeps, Configure.ARCHIVE_KEEP_LABELED_DAYS);
+            return policy;
+        }
+
+        const keeps = new Map([
+            [RetentionTier.HOURLY, Configure.SNAPSHOT_KEEP_HOURS],
+            [RetentionTier.DAILY, Configure.SNAPSHOT_KEEP_DAYS],
+            [RetentionTier.WEEKLY, Configure.SNAPSHOT_KEEP_WEEKS],
+            [RetentionTier.MONTHLY, Configure.SNAPSHOT_KEEP_MONTHS],
+            [RetentionTier.YEARLY, Configure.SNAPSHOT_KEEP_YEARS],
+        ]);
+        const policy = new RetentionPolicy(keeps, Configure.SNAPSHOT_KEEP_LABELED_DAYS);
+        return policy;
+    }
+
+    /**
+     * Get the effective retention policy of a ZFS filesystem.
+     * The ZFS user properties are inherited through the dataset tree,
+     * and the configured default is used for the unset property.
+     * An archive has the other properties from a primary, because the primary sends its properties to the archive.
+     * @param {string} filesystem a ZFS filesystem.
+     * @param {boolean} archive true if the ZFS filesystem is on an archive, false if on a primary.
+     * @param {Remote|null} remote the remote host of the ZFS filesystem, null if on this machine.
+     * @returns {Promise<RetentionPolicy>} the retention policy of the ZFS filesystem.
+     */
+    static async fromFilesystem(filesystem, archive = false, remote = null) {
+        const tierProperties = RetentionTier.ALL.map(t => archive ? t.archiveProperty : t.property);
+        const labeledProperty = archive ?
+                RetentionPolicy.PROPERTY_ARCHIVE_KEEP_LABELED : RetentionPolicy.PROPERTY_KEEP_LABELED;
+        const values = await ZfsUtilities.getProperties(filesystem, [...tierProperties, labeledProperty], false, remote);
+
+        const defaultPolicy = RetentionPolicy.getDefault(archive);
+        /** @type {Map<RetentionTier, number>} */
+        const keeps = new Map();
+        /** @type {string[]} */
+        const sources = [];
+
+        /**
+         * Get the number of a property, or the default number if the property is unset or invalid.
+         * @param {string} property a ZFS user property.
+         * @param {number} defaultNumber the configured default number.
+         * @returns {number} the number.
+         */
+        function getNumber(property, defaultNumber) {
+            const entry = values.get(property);
+            if (!entry || entry.value === '-') {
+                return defaultNumber;
+            }
+
+            const number = RetentionPolicy.parseKeep(entry.value);
+            if (number === null) {
+                logger.warn(`Ignore the invalid ${property} on ${filesystem}: ${entry.value}`);
+                return defaultNumber;
+            }
+            sources.push(`${property}=${entry.value} ${entry.source}`);
+            return number;
+        }
+
+        RetentionTier.ALL.forEach((tier, index) => {
+            keeps.set(tier, getNumber(tierProperties[index], defaultPolicy.getKeep(tier)));
+        });
+        const keepLabeledDays = getNumber(labeledProperty, defaultPolicy.keepLabeledDays);
+
+        const policy = new RetentionPolicy(keeps, keepLabeledDays, sources);
+        logger.debug(`Retention policy of ${filesystem}: ${policy}`);
+        return policy;
+    }
+
+    /**
+     * Parse the number of snapshots keeping.
+     * @param {string} value a non-negative integer or 'forever'.
+     * @returns {number|null} the number, Infinity if 'forever', or null if invalid.
+     */
+    static parseKeep(value) {
+        if (value === RetentionPolicy.FOREVER) {
+            return Infinity;
+        }
+        const number = Number(value);
+        if (!/^\d+$/.test(value) || !Number.isSafeInteger(number)) {
+            return null;
+        }
+        return number;
+    }
+
+    /**
+     * Get the number of snapshots keeping on a tier.
+     * @param {RetentionTier} tier a tier.
+     * @returns {number} the number of snapshots keeping, Infinity stands for forever.
+     */
+    getKeep(tier) {
+        return this.#keeps.get(tier) ?? 0;
+    }
+
+    /**
+     * Get the number of days keeping the labeled snapshots.
+     * @returns {number} the number of days, Infinity stands for forever.
+     */
+    get keepLabeledDays() {
+        return this.#keepLabeledDays;
+    }
+
+    /**
+     * Whether this policy keeps the same numbers as another policy.
+     * @param {RetentionPolicy} another another retention policy.
+     * @returns {boolean} true if the same numbers, otherwise false.
+     */
+    equals(another) {
+        return RetentionTier.ALL.every(t => this.getKeep(t) === another.getKeep(t)) &&
+                this.#keepLabeledDays === another.#keepLabeledDays;
+    }
+
+    /**
+     * Get the human-readable policy.
+     * @returns {string} e.g., '24 hourly, 3 daily, 104 weekly, 0 monthly, 0 yearly, labeled forever (elephant:keep-days=3 local)'
+     */
+    toString() {
+        const numbers = RetentionTier.ALL.map(t => {
+            const keep = this.getKeep(t);
+            const keepString = keep === Infinity ? RetentionPolicy.FOREVER : `${keep}`;
+            return `${keepString} ${t.name}`;
+        }).join(', ');
+        const labeled = this.#keepLabeledDays === Infinity ?
+                'labeled forever' : `labeled for ${this.#keepLabeledDays} days`;
+        const sources = this.#sources.length > 0 ? this.#sources.join(', ') : 'the configured default';
+        return `${numbers}, ${labeled} (${sources})`;
+    }
+}
+
+/**
+ * Pad a number with zero to two digits.
+ * @param {number} number a number.
+ * @returns {string} the padded number.
+ */
+function pad(number) {
+    return number.toString().padStart(2, '0');
+}
+
+/**
+ * Get the day of a date.
+ * @param {Date} date a date.
+ * @returns {string} the day, e.g., '2022-08-29'.
+ */
+function getDay(date) {
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Get the offset of the local time from UTC on a date.
+ * @param {Date} date a date.
+ * @returns {string} the offset, e.g., '+09:00'.
+ */
+function getOffset(date) {
+    const offset = -date.getTimezoneOffset();
+    const sign = offset < 0 ? '-' : '+';
+    const absolute = Math.abs(offset);
+    return `${sign}${pad(Math.floor(absolute / 60))}:${pad(absolute % 60)}`;
+}
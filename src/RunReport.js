@@ -0,0 +1,268 @@
+/**
+ * Copyright (c) 2022 Patineboot.
+ * All rights reserved.
+ *
+ * Elephant Backup is licensed under BSD 2-Clause License.
+ */
+'use strict'
+
+import os from 'node:os';
+import path from 'node:path';
+import * as fsPromises from 'node:fs/promises';
+
+import { CommandLine } from './CommandLine.js';
+import { Configure } from './Configure.js';
+import { Logger } from './Logger.js';
+
+const logger = Logger.getLogger();
+
+/**
+ * @typedef {Object} SendRecord a send stream of a dataset in a backup.
+ * @property {string} dataset the primary dataset sent.
+ * @property {string} type 'full', 'incremental', or 'resume' continuing the interrupted send.
+ * @property {string|null} base the snapshot the incremental stream starts from, null if a full stream or resumed.
+ * @property {string|null} target the snapshot the stream ends with, null if resumed.
+ * @property {number} bytes the size sent in bytes.
+ */
+
+/**
+ * @typedef {Object} FilesystemRecord the backup of a primary ZFS filesystem in a run.
+ * @property {string} filesystem the primary ZFS filesystem.
+ * @property {string} start the time starting the backup in ISO 8601.
+ * @property {string|null} end the time finishing the backup in ISO 8601, null if running.
+ * @property {number|null} duration the duration of the backup in seconds, null if running.
+ * @property {string} type 'full' if the first backup, 'incremental', or 'none' if up-to-date.
+ * @property {string|null} base the snapshot the backup starts from, null if the first backup or up-to-date.
+ * @property {string|null} target the snapshot backed up latest, null if up-to-date.
+ * @property {number} bytesSent the total size sent in bytes.
+ * @property {SendRecord[]} sends the send streams.
+ * @property {string} result 'succeeded', 'aborted' by a hook, 'failed', or 'running'.
+ * @property {string|null} error the message of the failure, null if not failed.
+ */
+
+/**
+ * The machine-readable report of a 'backup' run, which the report directory keeps the history of.
+ */
+export class RunReport {
+
+    /** @type {number} The version of the format of the report */
+    static VERSION = 1;
+
+    /** @type {string} The prefix of the report files in the report directory */
+    static FILE_PREFIX = 'backup-';
+
+    /** @type {string} The file of the last successful backup of each primary ZFS filesystem in the report directory */
+    static LAST_SUCCESS_FILE = 'last-success.json';
+
+    /** @type {RunReport|null} the report of the run */
+    static #current = null;
+
+    /** @type {string} */
+    #archive;
+
+    /** @type {Date} */
+    #start = new Date();
+
+    /** @type {FilesystemRecord[]} */
+    #filesystems = [];
+
+    /**
+     * Construct a RunReport instance.
+     * @param {string} archive the location of the archive.
+     */
+    constructor(archive) {
+        this.#archive = archive;
+    }
+
+    /**
+     * Start the report of the run, which records the send streams.
+     * @param {string} archive the location of the archive.
+     * @returns {RunReport} the report.
+     */
+    static start(archive) {
+        const report = new RunReport(archive);
+        RunReport.#current = report;
+        return report;
+    }
+
+    /**
+     * Record a send stream on the backup of the primary ZFS filesystem containing the dataset, if reporting the run.
+     * @param {string} dataset the primary dataset sent.
+     * @param {string} type 'full', 'incremental' or 'resume'.
+     * @param {string|null} base the snapshot the incremental stream starts from, null if a full stream or resumed.
+     * @param {string|null} target the snapshot the stream ends with, null if resumed.
+     * @param {number} bytes the size sent in bytes.
+     */
+    static recordSend(dataset, type, base, target, bytes) {
+        const current = RunReport.#current;
+        if (!current) {
+            return;
+        }
+        // the nearest of the primary ZFS filesystems backing up, which may be nested on the atomic backup.
+        const record = current.#filesystems
+                .filter(f => f.end === null && (dataset === f.filesystem || dataset.startsWith(`${f.filesystem}/`)))
+                .reduce((/** @type {FilesystemRecord|null} */ nearest, f) =>
+                        !nearest || f.filesystem.length > nearest.filesystem.length ? f : nearest, null);
+        record?.sends.push({dataset, type, base, target, bytes});
+    }
+
+    /**
+     * Begin the backup of a primary ZFS filesystem.
+     * @param {string} filesystem the primary ZFS filesystem.
+     */
+    begin(filesystem) {
+        this.#filesystems.push({
+            filesystem,
+            start: new Date().toISOString(),
+            end: null,
+            duration: null,
+            type: 'none',
+            base: null,
+            target: null,
+            bytesSent: 0,
+            sends: [],
+            result: 'running',
+            error: null,
+        });
+    }
+
+    /**
+     * Finish the backup of a primary ZFS filesystem, and summarize the send streams.
+     * @param {string} filesystem the primary ZFS filesystem.
+     * @param {string} result 'succeeded', 'aborted' or 'failed'.
+     * @param {Error|null} error the error of the failure, null if not failed.
+     */
+    end(filesystem, result, error = null) {
+        const record = this.#filesystems.find(f => f.filesystem === filesystem && f.end === null);
+        if (!record) {
+            return;
+        }
+        const end = new Date();
+        record.end = end.toISOString();
+        record.duration = (end.getTime() - new Date(record.start).getTime()) / 1000;
+        record.result = result;
+        record.error = error?.message ?? null;
+
+        // the first send stream of the backup starts from the base, and the last one ends with the target.
+        const streams = record.sends.filter(s => s.type !== 'resume');
+        record.type = streams.some(s => s.type === 'full') ? 'full' : streams.length > 0 ? 'incremental' : 'none';
+        record.base = streams[0]?.base ?? null;
+        record.target = streams[streams.length - 1]?.target ?? null;
+        record.bytesSent = record.sends.reduce((sum, s) => sum + s.bytes, 0);
+    }
+
+    /**
+     * Finish the backups still running as failed, which an error interrupted.
+     * @param {Error} error the error interrupting the backups.
+     */
+    failRunning(error) {
+        for (const record of this.#filesystems.filter(f => f.end === null)) {
+            this.end(record.filesystem, 'failed', error);
+        }
+    }
+
+    /**
+     * Get the result of the run.
+     * @returns {string} 'succeeded' if all of the backups succeeded, 'failed' if any of them failed, otherwise 'aborted'.
+     */
+    get Result() {
+        const results = this.#filesystems.map(f => f.result);
+        return results.includes('failed') ? 'failed' : results.every(r => r === 'succeeded') ? 'succeeded' : 'aborted';
+    }
+
+    toJSON() {
+        const end = new Date();
+        return {
+            version: RunReport.VERSION,
+            host: os.hostname(),
+            archive: this.#archive,
+            dryRun: CommandLine.getOption().dryRun === true,
+            start: this.#start.toISOString(),
+            end: end.toISOString(),
+            duration: (end.getTime() - this.#start.getTime()) / 1000,
+            result: this.Result,
+            filesystems: this.#filesystems,
+        };
+    }
+
+    /**
+     * Write the report to the history in the report directory, and to a path.
+     * A failure of writing the history does not fail the run.
+     * @param {string|undefined} reportPath the path of the report, '-' for the standard output, or undefined if none.
+     */
+    async write(reportPath) {
+        const json = JSON.stringify(this, null, 2);
+        if (reportPath === '-') {
+            logger.output(json);
+        }
+        else if (reportPath) {
+            try {
+                await fsPromises.writeFile(reportPath, `${json}\n`);
+                logger.print(`Wrote the report to ${reportPath}`);
+            }
+            catch (err) {
+                logger.error(`Cannot write the report to ${reportPath}: ${/** @type {Error} */(err).message}`);
+                process.exitCode = 1;
+            }
+        }
+
+        // a dry run is not in the history.
+        if (CommandLine.getOption().dryRun) {
+            return;
+        }
+        const directory = Configure.REPORT_DIRECTORY;
+        try {
+            await fsPromises.mkdir(directory, {recursive: true});
+            const file = `${RunReport.FILE_PREFIX}${this.#start.toISOString().replace(/[:.]/g, '-')}.json`;
+            await fsPromises.writeFile(path.join(directory, file), `${json}\n`);
+            await this.#writeLastSuccess(directory, file);
+            await RunReport.#purgeHistory(directory);
+            logger.debug(`Wrote the report to ${path.join(directory, file)}`);
+        }
+        catch (err) {
+            logger.warn(`Cannot write the report to ${directory}: ${/** @type {Error} */(err).message}`);
+        }
+    }
+
+    /**
+     * Update the last successful backup of each primary ZFS filesystem backed up successfully in the run.
+     * @param {string} directory the report directory.
+     * @param {string} file the report file of the run.
+     */
+    async #writeLastSuccess(directory, file) {
+        const lastSuccessPath = path.join(directory, RunReport.LAST_SUCCESS_FILE);
+
+        /** @type {Object<string, {end: string, target: string|null, archive: string, report: string}>} */
+        let lastSuccess = {};
+        try {
+            lastSuccess = JSON.parse(await fsPromises.readFile(lastSuccessPath, 'utf8'));
+        }
+        catch (err) {
+            if (/** @type {NodeJS.ErrnoException} */(err).code !== 'ENOENT') {
+                throw err;
+            }
+        }
+
+        for (const record of this.#filesystems.filter(f => f.result === 'succeeded')) {
+            lastSuccess[record.filesystem] = {end: record.end ?? '', target: record.target, archive: this.#archive, report: file};
+        }
+        const temporaryPath = `${lastSuccessPath}.tmp`;
+        await fsPromises.writeFile(temporaryPath, `${JSON.stringify(lastSuccess, null, 2)}\n`);
+        await fsPromises.rename(temporaryPath, lastSuccessPath);
+    }
+
+    /**
+     * Delete the oldest reports over the number of the reports keeping.
+     * @param {string} directory the report directory.
+     */
+    static async #purgeHistory(directory) {
+        // the names of the reports are in the order of the time.
+        const files = (await fsPromises.readdir(directory))
+                .filter(f => f.startsWith(RunReport.FILE_PREFIX) && f.endsWith('.json'))
+                .sort();
+        const expired = files.slice(0, Math.max(0, files.length - Configure.REPORT_HISTORY));
+        for (const file of expired) {
+            await fsPromises.unlink(path.join(directory, file));
+        }
+    }
+}
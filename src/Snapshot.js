@@ -12,12 +12,27 @@ export class Snapshot {
 
     #name;
 
-    static createSnapshot() {
-        const name = `${Configure.PREFIX_SNAPSHOT}-${Snapshot.#now}`;
+    /**
+     * Create a snapshot named with the current time.
+     * @param {string|null} label the label appended to the name, or null if no label.
+     * @returns {Snapshot} the snapshot.
+     */
+    static createSnapshot(label = null) {
+        const labelSuffix = label ? `-${label}` : '';
+        const name = `${Configure.PREFIX_SNAPSHOT}-${Snapshot.#formatDate(Snapshot.#now)}${labelSuffix}`;
         const instance = new Snapshot(name);
         return instance;
     }
 
+    /**
+     * Confirm a label is available on the name of a snapshot or not.
+     * @param {string} label a label, e.g., 'pre-upgrade'.
+     * @returns {boolean} true if available, otherwise false.
+     */
+    static isValidLabel(label) {
+        return /^[A-Za-z0-9][A-Za-z0-9_.:-]*$/.test(label);
+    }
+
     /**
      * Constructor
      * @param {string} name snapshot name 
@@ -37,33 +52,45 @@ export class Snapshot {
         return this.#name;
     }
 
+    /**
+     * Get the label of this snapshot.
+     * @returns {string|null} the label, or null if no label.
+     */
+    get label() {
+        const match = this.#name.match(Snapshot.#getSnapshotRegExp());
+        return match?.[8] ?? null;
+    }
+
     /**
      * Get the date of creating this snapshot.
+     * The name in UTC is the exact time, and the name in the local time is the local time on this machine.
+     * Note that the local time in the repeated hour at the end of DST is ambiguous, and parsed as the earlier one.
      * @returns {Date} a Date instance of creating this snapshot.
      */
     getDate() {
-        const date = this.#name.slice(`${Configure.PREFIX_SNAPSHOT}-`.length);
-
-        const dateElements = date.split('-');
-        const dateTime = dateElements.pop() ?? 'unexpected time';
-        for (let index = 0; index < 6; index+=2) {
-            dateElements.push(dateTime.slice(index, index + 2));
-        }
+        const match = this.#name.match(Snapshot.#getSnapshotRegExp()) ?? [];
 
-        const dateNumbers = dateElements.map(e => Number(e));
-        const dateInstance = new Date(Date.UTC(dateNumbers[0], dateNumbers[1] - 1, dateNumbers[2],
-                dateNumbers[3], dateNumbers[4], dateNumbers[5]));
-        // UTC to Local Time
-        dateInstance.setMinutes(dateInstance.getMinutes() + dateInstance.getTimezoneOffset());
+        const [year, month, day, hours, minutes, seconds] = match.slice(1, 7).map(e => Number(e));
+        const isUtc = match[7] === 'Z';
 
+        const dateInstance = isUtc ?
+                new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds)) :
+                new Date(year, month - 1, day, hours, minutes, seconds);
         return dateInstance;
     }
 
     /**
-     * @type{RegExp} Regular expression of the Elephant Backup snapshot
-     * e.g., 'elephant-backup-2022-08-29-153407'
+     * Get the regular expression of the Elephant Backup snapshot.
+     * Build it on demand because the prefix is possibly overridden by the configuration file.
+     * e.g., 'elephant-2022-08-29-153407' in the local time, 'elephant-2022-08-29T063407Z' in UTC,
+     * and 'elephant-2022-08-29-153407-pre-upgrade' with the label.
+     * @returns {RegExp} the regular expression capturing the year, month, day, hours, minutes, seconds, 'Z' if UTC and label.
      */
-    static #snapshotRegExp = new RegExp(`^${Configure.PREFIX_SNAPSHOT}\\-\\d{4}\\-\\d{2}\\-\\d{2}\\-\\d{6}$`);
+    static #getSnapshotRegExp() {
+        const prefix = Configure.PREFIX_SNAPSHOT.replace(/[.]/g, '\\.');
+        // the local time is separated with '-' and has no 'Z', UTC is separated with 'T' and ends with 'Z'.
+        return new RegExp(`^${prefix}\\-(\\d{4})\\-(\\d{2})\\-(\\d{2})(?:\\-(?!\\d{6}Z)|T(?=\\d{6}Z))(\\d{2})(\\d{2})(\\d{2})(Z?)(?:\\-([A-Za-z0-9][A-Za-z0-9_.:-]*))?$`);
+    }
 
     /**
      * Confirm a name of snapshot is Elephant Backup's snapshot or not.
@@ -71,27 +98,31 @@ export class Snapshot {
      * @returns {boolean} true if Elephant Backup, otherwise false.
      */
     static isCorrectedName(snapshotName) {
-        const isCorrected = Snapshot.#snapshotRegExp.test(snapshotName);
+        const isCorrected = Snapshot.#getSnapshotRegExp().test(snapshotName);
         return isCorrected;
     }
 
     /**
-     * @type {string} The time used in taking a snapshot.
+     * @type {Date} The time used in taking a snapshot.
      */
-    static #now = Snapshot.#getNowDate();
+    static #now = new Date();
 
-    static #getNowDate() {
-        // Get the current time in ISO format.
-        const date = new Date();
-
-        const fy = date.getFullYear().toString().padStart(4, '0');
-        const mo = (date.getMonth() + 1).toString().padStart(2,'0');
-        const d = date.getDate().toString().padStart(2,'0');
-        const h = date.getHours().toString().padStart(2,'0');
-        const mi = date.getMinutes().toString().padStart(2,'0');
-        const s = date.getSeconds().toString().padStart(2,'0');
-
-        const localDate = `${fy}-${mo}-${d}-${h}${mi}${s}`;
-        return localDate;
+    /**
+     * Format the time on the name of a snapshot with the configured naming.
+     * @param {Date} date the time of taking a snapshot.
+     * @returns {string} e.g., '2022-08-29-153407' in the local time, or '2022-08-29T063407Z' in UTC.
+     */
+    static #formatDate(date) {
+        const isUtc = Configure.SNAPSHOT_NAMING === Configure.SNAPSHOT_NAMING_UTC;
+
+        const fy = (isUtc ? date.getUTCFullYear() : date.getFullYear()).toString().padStart(4, '0');
+        const mo = ((isUtc ? date.getUTCMonth() : date.getMonth()) + 1).toString().padStart(2,'0');
+        const d = (isUtc ? date.getUTCDate() : date.getDate()).toString().padStart(2,'0');
+        const h = (isUtc ? date.getUTCHours() : date.getHours()).toString().padStart(2,'0');
+        const mi = (isUtc ? date.getUTCMinutes() : date.getMinutes()).toString().padStart(2,'0');
+        const s = (isUtc ? date.getUTCSeconds() : date.getSeconds()).toString().padStart(2,'0');
+
+        const formatted = isUtc ? `${fy}-${mo}-${d}T${h}${mi}${s}Z` : `${fy}-${mo}-${d}-${h}${mi}${s}`;
+        return formatted;
     }
 }
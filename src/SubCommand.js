@@ -6,10 +6,30 @@
  */
 'use strict'
 
+import { createInterface } from 'node:readline/promises';
+
 import { CommandLine, CommandType } from './CommandLine.js';
+import { Configure } from './Configure.js';
+import { FileArchive } from './FileArchive.js';
+import { Hook } from './Hook.js';
 import { Logger } from './Logger.js';
-import { ZfsFilesystem } from './ZfsFilesystem.js';
+import { Progress } from './Progress.js';
+import { RateLimiter } from './RateLimiter.js';
+import { RunReport } from './RunReport.js';
+import { Snapshot } from './Snapshot.js';
+import { SnapshotList, ZfsFilesystem } from './ZfsFilesystem.js';
 import { ZfsUtilities } from './ZfsUtilities.js';
+/** @typedef {import('./RetentionPolicy.js').RetentionDecision} RetentionDecision */
+/** @typedef {import('./RetentionPolicy.js').RetentionPolicy} RetentionPolicy */
+/** @typedef {import('./ZfsFilesystem.js').SnapshotDetail} SnapshotDetail */
+/** @typedef {import('./ZfsFilesystem.js').SnapshotIdentity} SnapshotIdentity */
+/** @typedef {import('./Hook.js').HookContext} HookContext */
+
+/**
+ * @typedef {Object} Failure a primary ZFS filesystem failed to back up.
+ * @property {string} filesystem the primary ZFS filesystem.
+ * @property {Error} error the error of the failure.
+ */
 
 const logger = Logger.getLogger()
 
@@ -29,10 +49,24 @@ export class SubCommand {
         case CommandType.SNAPSHOT:
             subCommand = new SnapshotSubCommand(type);
             break;
+        case CommandType.PRUNE:
+            subCommand = new PruneSubCommand(type);
+            break;
+        case CommandType.RESTORE:
+            subCommand = new RestoreSubCommand(type);
+            break;
+        case CommandType.HOLD:
+        case CommandType.RELEASE:
+        case CommandType.HOLDS:
+            subCommand = new HoldSubCommand(type);
+            break;
         case CommandType.SYSTEMD_INSTALL:
         case CommandType.SYSTEMD_UNINSTALL:
                 subCommand = new SytemdSubcommand(type);
             break;
+        case CommandType.VERIFY:
+            subCommand = new VerifySubCommand(type);
+            break;
         case CommandType.DIFF:
         default: // fail safe
             subCommand = new DiffSubCommand(type);
@@ -100,9 +134,21 @@ export class SubCommand {
             }
         }
 
-        if (archive) {
-            // exit if the specified 'archive' filesystem is not exist on the machine.
-            if (!filesystems.some(e => e.Name === archiveArg)) {
+        const fileArchive = archive ? FileArchive.parse(archiveArg) : null;
+        if (fileArchive) {
+            // the 'restore' sub-command confirms a file archive itself.
+            if (this.commandType !== CommandType.BACKUP) {
+                logger.error(`A file archive is not available on the '${this.commandType}' sub-command: ${archiveArg}`);
+                return false;
+            }
+            if (!fileArchive.exist()) {
+                logger.error(`An archive directory is not exist: ${archiveArg}`);
+                return false;
+            }
+        }
+        else if (archive) {
+            // exit if the specified 'archive' filesystem is not exist on the machine or on the remote host.
+            if (!await ZfsFilesystem.getArchive(archiveArg)) {
                 logger.error(`An archive ZFS filesystem is not exist: ${archiveArg}`);
                 return false;
             }
@@ -128,12 +174,163 @@ export class SubCommand {
 
         return filesystem;
     }
+
+    /**
+     * Get an archive ZFS filesystem from the name.
+     * @param {string} archiveName the name of the archive ZFS filesystem, e.g., 'archive.pool' or 'backup@nas:tank/archive'.
+     * @returns {Promise<ZfsFilesystem>} an archive ZFS filesystem.
+     * @throws {Error} if the ZFS filesystem is not exist on this machine or on the remote host.
+     */
+    async getArchiveFilesystem(archiveName) {
+        const archive = await ZfsFilesystem.getArchive(archiveName);
+        if (!archive) {
+            throw new Error(`An archive ZFS filesystem is undefined: ${archiveName}`);
+        }
+        return archive;
+    }
+
+    /**
+     * Run a step on a ZFS filesystem between the pre and post hooks.
+     * The failing pre hook aborts the step, and the on-failure hook is run once on any failure.
+     * @param {Hook} pre the hook run before the step.
+     * @param {Hook} post the hook run after the step.
+     * @param {HookContext} context what the hooks are run for.
+     * @param {() => Promise<Partial<HookContext>|null>} step the step returning the context of the post hook,
+     *     or null if aborted.
+     * @returns {Promise<boolean>} true if succeeded, false if aborted.
+     */
+    async runWithHooks(pre, post, context, step) {
+        if (!await this.runPreHook(pre, context)) {
+            return false;
+        }
+
+        /** @type {Partial<HookContext>|null} */
+        let stepContext;
+        try {
+            stepContext = await step();
+        }
+        catch (err) {
+            await Hook.runOnError(context, /** @type {Error} */(err));
+            throw err;
+        }
+        if (!stepContext) {
+            return false;
+        }
+
+        const succeeded = await this.runPostHook(post, {...context, ...stepContext});
+        return succeeded;
+    }
+
+    /**
+     * Run a pre hook, and the on-failure hook if it fails.
+     * @param {Hook} pre the hook run before a step.
+     * @param {HookContext} context what the hook is run for.
+     * @returns {Promise<boolean>} true if succeeded, false if failed.
+     */
+    async runPreHook(pre, context) {
+        try {
+            await pre.run(context);
+            return true;
+        }
+        catch (err) {
+            const message = /** @type {Error} */(err).message;
+            logger.error(`Aborted on ${context.filesystem} because the ${pre.name} hook failed: ${message}`);
+            await Hook.runOnFailure({...context, error: message});
+            return false;
+        }
+    }
+
+    /**
+     * Run a post hook with the successful result, and the on-failure hook if it fails.
+     * @param {Hook} post the hook run after a step.
+     * @param {HookContext} context what the hook is run for.
+     * @returns {Promise<boolean>} true if succeeded, false if failed.
+     */
+    async runPostHook(post, context) {
+        const postContext = {...context, result: 'success'};
+        try {
+            await post.run(postContext);
+            return true;
+        }
+        catch (err) {
+            const message = /** @type {Error} */(err).message;
+            logger.error(`The ${post.name} hook failed on ${context.filesystem}: ${message}`);
+            await Hook.runOnFailure({...postContext, error: message});
+            return false;
+        }
+    }
+
+    /**
+     * Take the new snapshot on the ZFS filesystems atomically between the pre and post snapshot hooks.
+     * Run the pre hooks on all of the filesystems before taking the snapshot, and the post hooks after that.
+     * @param {ZfsFilesystem[]} filesystems the ZFS filesystems.
+     * @param {string|null} label the label of the snapshot, or null if no label.
+     * @param {string} archive the archive ZFS filesystem, or the empty string if not backing up.
+     * @param {string[]} aborted the aborted ZFS filesystems, which this method adds to.
+     * @returns {Promise<{taken: ZfsFilesystem[], snapshot: string}>} the filesystems taken the snapshot, and the snapshot.
+     */
+    async takeSnapshotsAtomically(filesystems, label, archive, aborted) {
+        /** @type {(filesystem: ZfsFilesystem) => HookContext} */
+        const getContext = (filesystem) => archive ? {filesystem: filesystem.Name, archive} : {filesystem: filesystem.Name};
+
+        /** @type {ZfsFilesystem[]} */
+        const ready = [];
+        for (const filesystem of filesystems) {
+            if (await this.runPreHook(Hook.PRE_SNAPSHOT, getContext(filesystem))) {
+                ready.push(filesystem);
+            }
+            else {
+                aborted.push(filesystem.Name);
+            }
+        }
+        if (ready.length == 0) {
+            return {taken: [], snapshot: ''};
+        }
+
+        let snapshot;
+        try {
+            snapshot = await ZfsFilesystem.takeNewSnapshots(ready, label);
+        }
+        catch (err) {
+            for (const filesystem of ready) {
+                await Hook.runOnFailure({...getContext(filesystem), error: /** @type {Error} */(err).message});
+            }
+            throw err;
+        }
+
+        /** @type {ZfsFilesystem[]} */
+        const taken = [];
+        for (const filesystem of ready) {
+            if (await this.runPostHook(Hook.POST_SNAPSHOT, {...getContext(filesystem), snapshot})) {
+                taken.push(filesystem);
+            }
+            else {
+                aborted.push(filesystem.Name);
+            }
+        }
+        return {taken, snapshot};
+    }
+
+    /**
+     * Report the ZFS filesystems aborted, and exit with the failure code after running on all of the filesystems.
+     * @param {string[]} aborted the aborted ZFS filesystems.
+     */
+    reportAborted(aborted) {
+        if (aborted.length > 0) {
+            logger.error(`Aborted on the ZFS filesystems: ${aborted.join(', ')}`);
+            process.exitCode = 1;
+        }
+    }
 }
 
 /**
  * 'backup' sub-command class
  */
 class BackupSubCommand extends SubCommand {
+
+    /** @type {number} The space in bytes reserved on the archive for the backups sending concurrently */
+    static #reserved = 0;
+
     /**
      * Run the 'backup' sub-command.
      */
@@ -143,34 +340,315 @@ class BackupSubCommand extends SubCommand {
         const option = CommandLine.getOption();
         const archiveArg = option.archive;
 
-        // Get the archive filesystem.
-        const archiveRoot = await this.getZfsFilesystem(archiveArg);
+        // Get the archive filesystem, or the directory of the file archive.
+        const archiveRoot = FileArchive.parse(archiveArg) ?? await this.getArchiveFilesystem(archiveArg);
 
-        // start the backup process.
+        // limit the rate of sending the snapshots with the option and the schedule.
+        if (option.limitRate || Configure.LIMIT_RATE_SCHEDULE.length > 0) {
+            const rate = option.limitRate ? BackupSubCommand.#parseRate(option.limitRate) : null;
+            RateLimiter.start(rate, Configure.LIMIT_RATE_SCHEDULE);
+        }
+
+        const jobs = BackupSubCommand.#parseJobs(option.jobs ?? '1', option.arguments);
+
+        // Get the primary filesystems.
+        /** @type {ZfsFilesystem[]} */
+        const primaries = [];
         for (const primaryArg of option.arguments) {
-            // Get the primary filesystem.
-            const primary = await this.getZfsFilesystem(primaryArg);
+            primaries.push(await this.getZfsFilesystem(primaryArg));
+        }
+
+        if (option.verify && archiveRoot instanceof FileArchive) {
+            logger.warn(`The --verify option skips the file archive: ${archiveArg}`);
+        }
+
+        // ZFS rejects some combinations of the send mode and the primaries, fail before sending any.
+        await BackupSubCommand.#validateSendMode(primaries);
+
+        // start the backup process.
+        /** @type {string[]} */
+        const aborted = [];
+        /** @type {Failure[]} */
+        const failed = [];
+        const report = RunReport.start(archiveRoot.Location);
+        try {
+            if (option.atomic) {
+                await this.#backupAtomically(primaries, archiveRoot, jobs, aborted, failed, report);
+            }
+            else {
+                await runConcurrently(primaries, jobs, async (primary) => {
+                    report.begin(primary.Name);
+                    const context = {filesystem: primary.Name, archive: archiveRoot.Location};
+                    const succeeded = await BackupSubCommand.#isolate(primary.Name, failed,
+                            () => this.runWithHooks(Hook.PRE_BACKUP, Hook.POST_BACKUP, context,
+                                    () => this.#backup(primary, archiveRoot)));
+                    if (succeeded === false) {
+                        aborted.push(primary.Name);
+                    }
+                    else if (succeeded) {
+                        await BackupSubCommand.#isolate(primary.Name, failed, () => BackupSubCommand.#verifyBackup(primary, archiveRoot));
+                    }
+                    BackupSubCommand.#endReport(report, primary.Name, aborted, failed);
+                });
+            }
+            this.reportAborted(aborted);
+            BackupSubCommand.#reportFailed(failed);
+        }
+        catch (err) {
+            // the backups the error interrupted are failed in the report.
+            report.failRunning(/** @type {Error} */(err));
+            throw err;
+        }
+        finally {
+            // write the report of the failed run as well.
+            await report.write(option.report);
+        }
+    }
+
+    /**
+     * Parse the number of the '--jobs' option.
+     * @param {string} value a positive integer.
+     * @param {string[]} primaries the primary ZFS filesystems of the arguments.
+     * @returns {number} the number of the primary ZFS filesystems backed up concurrently.
+     */
+    static #parseJobs(value, primaries) {
+        const jobs = /^\d+$/.test(value) ? Number(value) : 0;
+        if (jobs < 1) {
+            process.exitCode = 1;
+            logger.exit(`The number of jobs is not a positive integer: ${value}`);
+        }
+
+        // a primary ZFS filesystem and its descendant both receive the descendant on the archive.
+        if (jobs > 1) {
+            for (const primary of primaries) {
+                const ancestor = primaries.find(p => primary.startsWith(`${p}/`));
+                if (ancestor) {
+                    process.exitCode = 1;
+                    logger.exit(`Cannot back up ${primary} concurrently with its ancestor ${ancestor}.`);
+                }
+            }
+        }
+        return jobs;
+    }
+
+    /**
+     * Validate the send mode and the receive options in the configuration for the primary ZFS filesystems.
+     * @param {ZfsFilesystem[]} primaries the primary ZFS filesystems.
+     */
+    static async #validateSendMode(primaries) {
+        /** @type {string[]} */
+        const encrypted = [];
+        if (Configure.SEND_MODE !== Configure.SEND_MODE_RAW) {
+            for (const primary of primaries) {
+                encrypted.push(...await primary.getEncryptedFilesystems());
+            }
+        }
+
+        const conflict = ZfsUtilities.findSendConflict(encrypted);
+        if (conflict) {
+            // a scheduled backup sees the refused backup as a failure with the error code.
+            process.exitCode = 1;
+            logger.exit(conflict);
+        }
+    }
+
+    /**
+     * Run the backup of a primary ZFS filesystem not to stop the others on its failure.
+     * @template T
+     * @param {string} filesystem the primary ZFS filesystem.
+     * @param {Failure[]} failed the failed ZFS filesystems, which this method adds to.
+     * @param {() => Promise<T>} task the backup of the primary ZFS filesystem.
+     * @returns {Promise<T|null>} the result of the task, or null if failed.
+     */
+    static async #isolate(filesystem, failed, task) {
+        try {
+            return await task();
+        }
+        catch (err) {
+            const error = /** @type {Error} */(err);
+            logger.error(`Failed to back up ${filesystem}: ${error.message}`);
+            logger.debug(error.stack);
+            failed.push({filesystem, error});
+            return null;
+        }
+    }
+
+    /**
+     * Verify the snapshots on the archive after backing up a primary ZFS filesystem with the '--verify' option.
+     * @param {ZfsFilesystem} primary a primary ZFS filesystem backed up.
+     * @param {ZfsFilesystem|FileArchive} archiveRoot a filesystem or a file archive storing.
+     * @throws {Error} if the archive has any discrepancies.
+     */
+    static async #verifyBackup(primary, archiveRoot) {
+        const option = CommandLine.getOption();
+        // the file archive verifies the send streams with the digests on restoring instead.
+        if (!option.verify || option.dryRun || archiveRoot instanceof FileArchive) {
+            return;
+        }
+        const discrepancies = await VerifySubCommand.verify(primary, archiveRoot);
+        if (discrepancies > 0) {
+            throw new Error(`Found ${discrepancies} discrepancies on ${archiveRoot.Location}`);
+        }
+    }
+
+    /**
+     * Finish the backup of a primary ZFS filesystem on the report of the run.
+     * @param {RunReport} report the report of the run.
+     * @param {string} filesystem the primary ZFS filesystem.
+     * @param {string[]} aborted the aborted ZFS filesystems.
+     * @param {Failure[]} failed the failed ZFS filesystems.
+     */
+    static #endReport(report, filesystem, aborted, failed) {
+        const failure = failed.find(f => f.filesystem === filesystem);
+        const result = failure ? 'failed' : aborted.includes(filesystem) ? 'aborted' : 'succeeded';
+        report.end(filesystem, result, failure?.error);
+    }
+
+    /**
+     * Report the summary of the failed primary ZFS filesystems, and exit with the error code.
+     * @param {Failure[]} failed the failed ZFS filesystems.
+     */
+    static #reportFailed(failed) {
+        if (failed.length > 0) {
+            logger.error(`Failed on ${failed.length} of the ZFS filesystems:`);
+            for (const {filesystem, error} of failed) {
+                logger.error(`  ${filesystem}: ${error.message}`);
+            }
+            process.exitCode = 1;
+        }
+    }
 
-            await this.#backup(primary, archiveRoot);
+    /**
+     * Parse the rate of the '--limit-rate' option.
+     * @param {string} value a size per second, e.g., '10M'.
+     * @returns {number} the rate in bytes per second.
+     */
+    static #parseRate(value) {
+        const bytes = ZfsUtilities.parseSize(value);
+        if (!bytes) {
+            process.exitCode = 1;
+            logger.exit(`The rate is not a positive size: ${value}`);
         }
+        return bytes ?? 0;
     }
 
     /**
      * Back up the primary ZFS filesystem to the archive ZFS filesystem.
      * @param {ZfsFilesystem} primary a filesystem to backup.
-     * @param {ZfsFilesystem} archiveRoot a filesystem to store.
+     * @param {ZfsFilesystem|FileArchive} archiveRoot a filesystem or a file archive to store.
+     * @returns {Promise<{snapshot: string}|null>} the new snapshot backed up, or null if aborted.
      */
     async #backup(primary, archiveRoot) {
-        logger.info(`Start to back up from [${primary.Name}] to [${archiveRoot.Name}]`);
+        logger.info(`Start to back up from [${primary.Name}] to [${archiveRoot.Location}]`);
+
+        // take the new snapshot now.
+        let snapshot = '';
+        const snapshotContext = {filesystem: primary.Name, archive: archiveRoot.Location};
+        const taken = await this.runWithHooks(Hook.PRE_SNAPSHOT, Hook.POST_SNAPSHOT, snapshotContext,
+                async () => {
+                    snapshot = await primary.takeNewSnapshot();
+                    return {snapshot};
+                });
+        if (!taken) {
+            return null;
+        }
+
+        await this.#send(primary, archiveRoot);
+        return {snapshot};
+    }
+
+    /**
+     * Back up the primary ZFS filesystems to the archive ZFS filesystem with the snapshot taken atomically on them.
+     * @param {ZfsFilesystem[]} primaries filesystems to backup.
+     * @param {ZfsFilesystem|FileArchive} archiveRoot a filesystem or a file archive to store.
+     * @param {number} jobs the number of the primary ZFS filesystems sent concurrently.
+     * @param {string[]} aborted the aborted ZFS filesystems, which this method adds to.
+     * @param {Failure[]} failed the failed ZFS filesystems, which this method adds to.
+     * @param {RunReport} report the report of the run.
+     */
+    async #backupAtomically(primaries, archiveRoot, jobs, aborted, failed, report) {
+        /** @type {(primary: ZfsFilesystem) => HookContext} */
+        const getContext = (primary) => ({filesystem: primary.Name, archive: archiveRoot.Location});
+
+        /** @type {ZfsFilesystem[]} */
+        const ready = [];
+        for (const primary of primaries) {
+            report.begin(primary.Name);
+            if (await this.runPreHook(Hook.PRE_BACKUP, getContext(primary))) {
+                ready.push(primary);
+            }
+            else {
+                aborted.push(primary.Name);
+            }
+        }
+
+        // take the new snapshot on all of the primaries at once.
+        const {taken, snapshot} = await this.takeSnapshotsAtomically(ready, null, archiveRoot.Location, aborted);
+        for (const primary of primaries.filter(p => !taken.includes(p))) {
+            BackupSubCommand.#endReport(report, primary.Name, aborted, failed);
+        }
+
+        await runConcurrently(taken, jobs, async (primary) => {
+            logger.info(`Start to back up from [${primary.Name}] to [${archiveRoot.Location}]`);
+            const sent = await BackupSubCommand.#isolate(primary.Name, failed, async () => {
+                try {
+                    await this.#send(primary, archiveRoot);
+                }
+                catch (err) {
+                    await Hook.runOnError({...getContext(primary), snapshot}, /** @type {Error} */(err));
+                    throw err;
+                }
+                return true;
+            });
+            if (sent) {
+                if (await this.runPostHook(Hook.POST_BACKUP, {...getContext(primary), snapshot})) {
+                    await BackupSubCommand.#isolate(primary.Name, failed, () => BackupSubCommand.#verifyBackup(primary, archiveRoot));
+                }
+                else {
+                    aborted.push(primary.Name);
+                }
+            }
+            BackupSubCommand.#endReport(report, primary.Name, aborted, failed);
+        });
+    }
+
+    /**
+     * Send the snapshots of the primary ZFS filesystem to the archive ZFS filesystem.
+     * @param {ZfsFilesystem} primary a filesystem to backup.
+     * @param {ZfsFilesystem|FileArchive} archiveRoot a filesystem or a file archive to store.
+     */
+    async #send(primary, archiveRoot) {
+        const {included, excluded} = await primary.getIncludedFilesystems();
+
+        // back up each of the included datasets instead of recursively, the parents first.
+        const filesystems = excluded ? included : [primary];
+        for (const filesystem of filesystems) {
+            if (archiveRoot instanceof FileArchive) {
+                await archiveRoot.backup(filesystem, !excluded);
+            }
+            else {
+                await this.#backupFilesystem(filesystem, archiveRoot, !excluded);
+            }
+        }
+    }
 
+    /**
+     * Back up a primary ZFS filesystem to the archive ZFS filesystem.
+     * @param {ZfsFilesystem} primary a filesystem to backup.
+     * @param {ZfsFilesystem} archiveRoot a filesystem to store.
+     * @param {boolean} recursive true if back up the descendants too, false if only the filesystem.
+     */
+    async #backupFilesystem(primary, archiveRoot, recursive) {
         // create a ZFS dataset from the same name as the primary on the archive filesystem.
         const archive = archiveRoot.open(primary.Name);
         if (!archive.exist()) {
             await archive.create();
         }
+        // `zfs recv -d` appends the name of the primary except the pool to the ZFS dataset receiving.
+        const receiving = archiveRoot.open(primary.Name.split('/')[0]);
 
-        // take the new snapshot now.
-        await primary.takeNewSnapshot();
+        // continue the receive interrupted on the previous backup before finding the common snapshots.
+        await this.#resumeReceive(primary, archive);
 
         // get the latest of the snapshots, which the both of primary and archive hold.
         const primarySnapshotList = await primary.getSnapshotList();
@@ -178,40 +656,128 @@ class BackupSubCommand extends SubCommand {
         let latestOfCommonSnapshot = primarySnapshotList.findLatest(archiveSnapshotList);
 
         // when the first backup
+        /** @type {string|null} */
+        let earliestPrimarySnapshot = null;
+        /** @type {number|null} */
+        let firstSize = null;
         if (latestOfCommonSnapshot == null) {
-            const earliestPrimarySnapshot = primarySnapshotList.getEarliest();
+            earliestPrimarySnapshot = primarySnapshotList.getEarliest();
             if (!earliestPrimarySnapshot) {
                 throw new Error(`No snapshots on the ${primary.Name}`);
             }
 
             // estimate the backup size of the earliest snapshot of the primary.
-            const firstSize = await primary.estimateBackupSize(earliestPrimarySnapshot);
+            firstSize = await primary.estimateBackupSize(earliestPrimarySnapshot, '', recursive);
 
             // notice the backup size.
-            logger.print(`The first backup size of ${primary.Name}: ${firstSize}`);
-
-            // back up the earliest snapshot of the primary.
-            await primary.backup(archive.Name, earliestPrimarySnapshot);
+            logger.print(`The first backup size of ${primary.Name}: ${firstSize === null ? 'unknown' : ZfsUtilities.formatSize(firstSize)}`);
 
             // and continue to the following incremental backup.
             latestOfCommonSnapshot = earliestPrimarySnapshot;
         }
 
         // When the incremental backup
-        const latestSnapshot = primarySnapshotList.getLatest() ?? 'Unexpected condition';
-
-        if (latestOfCommonSnapshot === latestSnapshot) {
-            // When the archive is up-to-date, skip the backup process.
-            // notice archive is already up-to-date.
-            logger.print(`Archive is Up-To-Date: ${archive.Name}`);
+        const latestSnapshot = primarySnapshotList.getLatest();
+        if (!latestSnapshot) {
+            throw new Error(`No snapshots on the ${primary.Name}`);
         }
-        else {
+        const upToDate = latestOfCommonSnapshot === latestSnapshot;
+
+        /** @type {number|null} */
+        let incrementalSize = null;
+        if (!upToDate) {
             // estimate the backup size of the primary of the snapshots between earliest and latest.
-            const incrementalSize = await primary.estimateBackupSize(latestOfCommonSnapshot, latestSnapshot);
-            // notice archive is already up-to-date.
-            logger.print(`The incremental backup size of ${primary.Name}: ${incrementalSize}`);
-            // back up the primary of the snapshots between earliest and latest.
-            await primary.backup(archive.Name, latestOfCommonSnapshot, latestSnapshot);
+            incrementalSize = await primary.estimateBackupSize(latestOfCommonSnapshot, latestSnapshot, recursive);
+            logger.print(`The incremental backup size of ${primary.Name}: ${incrementalSize === null ? 'unknown' : ZfsUtilities.formatSize(incrementalSize)}`);
+        }
+
+        // refuse the backup short of the space before sending anything not to leave the partial receive.
+        const reserved = await BackupSubCommand.#reserveCapacity(primary, archive, (firstSize ?? 0) + (incrementalSize ?? 0));
+        try {
+            if (earliestPrimarySnapshot) {
+                // back up the earliest snapshot of the primary.
+                const sent = await primary.backup(receiving, earliestPrimarySnapshot, '', recursive, Progress.start(primary.Name, firstSize));
+                RunReport.recordSend(primary.Name, 'full', null, earliestPrimarySnapshot, sent);
+            }
+
+            if (upToDate) {
+                // When the archive is up-to-date, skip the backup process.
+                // notice archive is already up-to-date.
+                logger.print(`Archive is Up-To-Date: ${archive.Location}`);
+            }
+            else {
+                // back up the primary of the snapshots between earliest and latest.
+                const sent = await primary.backup(receiving, latestOfCommonSnapshot, latestSnapshot, recursive, Progress.start(primary.Name, incrementalSize));
+                RunReport.recordSend(primary.Name, 'incremental', latestOfCommonSnapshot, latestSnapshot, sent);
+            }
+        }
+        finally {
+            BackupSubCommand.#reserved -= reserved;
+        }
+
+        // remember the latest snapshot backed up not to purge it.
+        await primary.setArchivedSnapshot(latestSnapshot);
+    }
+
+    /**
+     * Confirm the archive has the space for the backup and the margin in the configuration,
+     * and reserve the space from the other backups sending concurrently with the '--jobs' option.
+     * @param {ZfsFilesystem} primary a primary ZFS filesystem to back up.
+     * @param {ZfsFilesystem} archive the archive ZFS filesystem receiving the primary.
+     * @param {number} estimated the estimated size of the backup in bytes, 0 if up-to-date or unknown on dry run.
+     * @returns {Promise<number>} the space reserved in bytes, which the caller releases after the backup.
+     * @throws {Error} if the archive is short of the space.
+     */
+    static async #reserveCapacity(primary, archive, estimated) {
+        if (estimated === 0) {
+            return 0;
+        }
+        const margin = 'bytes' in Configure.CAPACITY_MARGIN ?
+                Configure.CAPACITY_MARGIN.bytes :
+                Math.ceil(estimated * Configure.CAPACITY_MARGIN.percent / 100);
+        const required = estimated + margin;
+        const available = await archive.getAvailableSize() - BackupSubCommand.#reserved;
+
+        logger.info(`The available space of ${archive.Location}: ${ZfsUtilities.formatSize(available)}, required: ${ZfsUtilities.formatSize(required)}`);
+        if (available < required) {
+            throw new Error(`${archive.Location} has ${ZfsUtilities.formatSize(available)} available, ` +
+                    `but backing up ${primary.Name} requires ${ZfsUtilities.formatSize(required)} ` +
+                    `including the margin of ${ZfsUtilities.formatSize(margin)}, ` +
+                    `free the space on the archive, e.g., with the 'prune --archive' sub-command.`);
+        }
+        BackupSubCommand.#reserved += required;
+        return required;
+    }
+
+    /**
+     * Resume the receives interrupted on the previous backup on an archive ZFS filesystem and its descendants,
+     * or abort them with the '--abort-partial' option.
+     * @param {ZfsFilesystem} primary the primary ZFS filesystem of the archive.
+     * @param {ZfsFilesystem} archive an archive ZFS filesystem.
+     */
+    async #resumeReceive(primary, archive) {
+        const option = CommandLine.getOption();
+
+        const partials = await archive.getResumeTokens();
+        for (const {filesystem, token} of partials) {
+            if (option.abortPartial) {
+                await filesystem.abortReceive();
+                continue;
+            }
+            // refuse the resume short of the space too, which sends the rest of the stream before the backup.
+            const estimated = await filesystem.estimateResumeSize(token);
+            const reserved = await BackupSubCommand.#reserveCapacity(primary, filesystem, estimated ?? 0);
+
+            logger.print(`Resume the interrupted backup on ${filesystem.Location}`);
+            let sent;
+            try {
+                sent = await filesystem.resumeReceive(token);
+            }
+            finally {
+                BackupSubCommand.#reserved -= reserved;
+            }
+            const dataset = primary.Name + filesystem.Name.substring(archive.Name.length);
+            RunReport.recordSend(dataset, 'resume', null, null, sent);
         }
     }
 }
@@ -233,14 +799,14 @@ class DiffSubCommand extends SubCommand {
         const primaryArgs = option.arguments;
         const archiveArg = option.archive;
 
-        const archiveRoot = await this.getZfsFilesystem(archiveArg);
+        const archiveRoot = await this.getArchiveFilesystem(archiveArg);
 
         for (const primaryArg of primaryArgs) {
             // confirm weather the archive ZFS dataset exist or not.
             const archive = archiveRoot.open(primaryArg);
             const exist = archive.exist();
             if (!exist) {
-                logger.error(`${primaryArg} is not archived on ${archive.Name} yet.`);
+                logger.error(`${primaryArg} is not archived on ${archive.Location} yet.`);
                 return false;
             }
         }
@@ -258,7 +824,7 @@ class DiffSubCommand extends SubCommand {
         const archiveArg = option.archive;
 
         // Get the archive filesystem.
-        const archiveRoot = await this.getZfsFilesystem(archiveArg);
+        const archiveRoot = await this.getArchiveFilesystem(archiveArg);
 
         // start diff process.
         for (const primaryArg of option.arguments) {
@@ -282,11 +848,11 @@ class DiffSubCommand extends SubCommand {
 
         const archive = archiveRoot.open(primary.Name);
         if (!await archive.mounted(true)) {
-            logger.warn(`The archive ZFS dataset containing unmounted filesystems: ${archive.Name}`);
+            logger.warn(`The archive ZFS dataset containing unmounted filesystems: ${archive.Location}`);
             return;
         }
 
-        logger.print(`Printing the differences of ${primary.Name} and ${archive.Name}`);
+        logger.print(`Printing the differences of ${primary.Name} and ${archive.Location}`);
 
         const descendant = await primary.openRecursively();
         const primaryDescendants = [primary, ...descendant];
@@ -309,6 +875,117 @@ class DiffSubCommand extends SubCommand {
     }
 }
 
+/**
+ * 'verify' sub-command class
+ */
+class VerifySubCommand extends SubCommand {
+    /**
+     * Same as the supper class.
+     */
+    async accessibleFilesystems() {
+        const baseAccessible = await super.accessibleFilesystems();
+        if (!baseAccessible) {
+            return baseAccessible;
+        }
+
+        const option = CommandLine.getOption();
+        const archiveRoot = await this.getArchiveFilesystem(option.archive);
+
+        for (const primaryArg of option.arguments) {
+            // confirm weather the archive ZFS dataset exist or not.
+            const archive = archiveRoot.open(primaryArg);
+            if (!archive.exist()) {
+                logger.error(`${primaryArg} is not archived on ${archive.Location} yet.`);
+                return false;
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Run the 'verify' sub-command.
+     */
+    async run() {
+        logger.debug(`Run 'verify' sub-command`);
+
+        const option = CommandLine.getOption();
+        const archiveRoot = await this.getArchiveFilesystem(option.archive);
+
+        let discrepancies = 0;
+        for (const primaryArg of option.arguments) {
+            const primary = await this.getZfsFilesystem(primaryArg);
+            discrepancies += await VerifySubCommand.verify(primary, archiveRoot);
+        }
+        if (discrepancies > 0) {
+            logger.error(`Found ${discrepancies} discrepancies on ${archiveRoot.Location}`);
+            process.exitCode = 1;
+        }
+    }
+
+    /**
+     * Verify the archive holds the same snapshots as the primary ZFS filesystem and its included descendants.
+     * The snapshots are compared by the GUID, and by the order of the creation TXG, which differs between the pools,
+     * and the snapshots backed up are on the both except the ones the archive retention policy prunes.
+     * @param {ZfsFilesystem} primary a primary ZFS filesystem.
+     * @param {ZfsFilesystem} archiveRoot an archive ZFS filesystem.
+     * @returns {Promise<number>} the number of the discrepancies.
+     */
+    static async verify(primary, archiveRoot) {
+        /** @type {(filesystem: ZfsFilesystem, datasets: ZfsFilesystem[]) => string[]} */
+        const toRelative = (filesystem, datasets) => datasets
+                .filter(d => d.Name === filesystem.Name || d.Name.startsWith(`${filesystem.Name}/`))
+                .map(d => d.Name.substring(filesystem.Name.length));
+
+        // list the archive again, which the backup just before creates.
+        const archive = archiveRoot.open(primary.Name);
+        const archiveDatasets = toRelative(archive, await archiveRoot.openRecursively());
+        const archived = await primary.getArchivedSnapshot();
+        if (!archived || !archiveDatasets.includes('')) {
+            logger.error(`${primary.Name} is not archived on ${archive.Location} yet.`);
+            return 1;
+        }
+        logger.print(`Verifying the snapshots of ${primary.Name} on ${archive.Location}`);
+
+        const primaryDatasets = toRelative(primary, [primary, ...await primary.openRecursively()]);
+        const primaryIdentities = await primary.getSnapshotIdentities();
+        const archiveIdentities = await archive.getSnapshotIdentities();
+        const {included} = await primary.getIncludedFilesystems();
+
+        /** @type {string[]} */
+        const discrepancies = [];
+        let verified = 0;
+        for (const relative of toRelative(primary, included)) {
+            const primarySnapshots = primaryIdentities.get(relative) ?? new Map();
+            if (!primarySnapshots.has(archived)) {
+                // the dataset created after the latest backup.
+                logger.info(`Not backed up yet: ${primary.Name}${relative}`);
+                continue;
+            }
+            if (!archiveDatasets.includes(relative)) {
+                discrepancies.push(`missing dataset: ${archive.Location}${relative}`);
+                continue;
+            }
+            const policy = await archiveRoot.open(`${primary.Name}${relative}`).getRetentionPolicy(true);
+            const result = compareSnapshots(`${primary.Name}${relative}`, primarySnapshots,
+                    `${archive.Location}${relative}`, archiveIdentities.get(relative) ?? new Map(), archived, policy);
+            discrepancies.push(...result.discrepancies);
+            verified += result.verified;
+        }
+        for (const relative of archiveDatasets) {
+            if (!primaryDatasets.includes(relative)) {
+                discrepancies.push(`extra dataset: ${archive.Location}${relative}`);
+            }
+        }
+
+        for (const discrepancy of discrepancies) {
+            logger.error(discrepancy);
+        }
+        logger.print(`Verified ${verified} snapshots of ${primary.Name}: ${discrepancies.length} discrepancies`);
+        return discrepancies.length;
+    }
+}
+
 /**
  * 'snapshot' sub-command class
  */
@@ -329,43 +1006,555 @@ class SnapshotSubCommand extends SubCommand {
         logger.debug(`Running 'snapshot' sub-command`);
 
         const option = CommandLine.getOption();
-        const takeOrShowFunction =
-                option.list ? this.#showSnapshots : this.#takeSnapshot;
+
+        if (option.list) {
+            await this.#showSnapshots(option.arguments, option.format);
+            return;
+        }
+        if (option.atomic && !option.purgeToFree) {
+            await this.#takeSnapshotsAtomically(option.arguments, option.label ?? null);
+            return;
+        }
+
+        /** @type {(filesystem: ZfsFilesystem) => Promise<boolean>} */
+        let takeOrShowFunction;
+        if (option.purgeToFree) {
+            const freeSpace = SnapshotSubCommand.#parseFreeSpace(option.purgeToFree);
+            takeOrShowFunction = (filesystem) => this.#purgeToFree(filesystem, freeSpace);
+        }
+        else {
+            if (option.label && !Snapshot.isValidLabel(option.label)) {
+                process.exitCode = 1;
+                logger.exit(`The label has the invalid characters: ${option.label}`);
+            }
+            takeOrShowFunction = (filesystem) => this.#takeSnapshot(filesystem, option.label ?? null);
+        }
 
         // start to take a snapshot.
+        /** @type {string[]} */
+        const aborted = [];
         for (const filesystemArg of option.arguments) {
             // Get the filesystem.
             const filesystem = await this.getZfsFilesystem(filesystemArg);
-            await takeOrShowFunction(filesystem);
+            const succeeded = await takeOrShowFunction(filesystem);
+            if (!succeeded) {
+                aborted.push(filesystem.Name);
+            }
         }
+        this.reportAborted(aborted);
     }
 
     /**
      * Take a snapshot on the ZFS filesystem.
      * @param {ZfsFilesystem} filesystem a ZFS filesystem on which you take a snapshot.
+     * @param {string|null} label the label of the snapshot, or null if no label.
+     * @returns {Promise<boolean>} true if succeeded, false if aborted by the hooks.
      */
-    async #takeSnapshot(filesystem) {
+    async #takeSnapshot(filesystem, label) {
         logger.info(`Take a snapshot on '${filesystem.Name}'`);
 
         // take a new snapshot.
-        await filesystem.takeNewSnapshot();
+        const succeeded = await this.runWithHooks(Hook.PRE_SNAPSHOT, Hook.POST_SNAPSHOT, {filesystem: filesystem.Name},
+                async () => {
+                    const snapshot = await filesystem.takeNewSnapshot(label);
+                    return {snapshot};
+                });
+        if (!succeeded) {
+            return false;
+        }
 
         // purge some of oldest snapshots.
         await filesystem.purgeSnapshots();
+        return true;
+    }
+
+    /**
+     * Take a snapshot on the ZFS filesystems atomically.
+     * @param {string[]} filesystemArgs the names of the ZFS filesystems on which you take a snapshot.
+     * @param {string|null} label the label of the snapshot, or null if no label.
+     */
+    async #takeSnapshotsAtomically(filesystemArgs, label) {
+        if (label && !Snapshot.isValidLabel(label)) {
+            process.exitCode = 1;
+            logger.exit(`The label has the invalid characters: ${label}`);
+        }
+
+        /** @type {ZfsFilesystem[]} */
+        const filesystems = [];
+        for (const filesystemArg of filesystemArgs) {
+            filesystems.push(await this.getZfsFilesystem(filesystemArg));
+        }
+        logger.info(`Take a snapshot on '${filesystemArgs.join("', '")}' atomically`);
+
+        /** @type {string[]} */
+        const aborted = [];
+        const {taken} = await this.takeSnapshotsAtomically(filesystems, label, '', aborted);
+
+        // purge some of oldest snapshots.
+        for (const filesystem of taken) {
+            await filesystem.purgeSnapshots();
+        }
+        this.reportAborted(aborted);
+    }
+
+    /**
+     * Purge the oldest snapshots on the ZFS filesystem until its ZFS pool has the free space.
+     * @param {ZfsFilesystem} filesystem a ZFS filesystem on which you purge snapshots.
+     * @param {{bytes: number}|{percent: number}} freeSpace the free space.
+     * @returns {Promise<boolean>} always true.
+     */
+    async #purgeToFree(filesystem, freeSpace) {
+        logger.info(`Purge the snapshots on '${filesystem.Name}' to free the space`);
+
+        await filesystem.purgeToFree(freeSpace);
+        return true;
+    }
+
+    /**
+     * Parse the free space of the '--purge-to-free' option.
+     * @param {string} value a size, e.g., '10G', or a percent, e.g., '20%'.
+     * @returns {{bytes: number}|{percent: number}} the free space.
+     */
+    static #parseFreeSpace(value) {
+        const percentMatch = value.match(/^(\d+(?:\.\d+)?)%$/);
+        if (percentMatch) {
+            const percent = Number(percentMatch[1]);
+            if (percent > 100) {
+                process.exitCode = 1;
+                logger.exit(`The free space is over 100%: ${value}`);
+            }
+            return {percent};
+        }
+
+        const bytes = ZfsUtilities.parseSize(value);
+        if (bytes === null) {
+            process.exitCode = 1;
+            logger.exit(`The free space is neither a size nor a percent: ${value}`);
+        }
+        return {bytes: bytes ?? 0};
     }
 
     /**
-     * Show the snapshots on the ZFS filesystem.
-     * @param {ZfsFilesystem} filesystem a ZFS filesystem on that you show snapshots.
+     * Show the snapshots on the ZFS filesystems.
+     * @param {string[]} filesystemArgs the names of the ZFS filesystems on that you show snapshots.
+     * @param {string} format 'table' or 'json'.
      */
-    async #showSnapshots(filesystem) {
-        logger.info(`Show the snapshots on '${filesystem.Name}'`);
+    async #showSnapshots(filesystemArgs, format) {
+        if (format !== 'table' && format !== 'json') {
+            process.exitCode = 1;
+            logger.exit(`The format is neither table nor json: ${format}`);
+        }
+
+        /** @type {{filesystem: string, policy: string, snapshots: SnapshotDetail[]}[]} */
+        const lists = [];
+        for (const filesystemArg of filesystemArgs) {
+            const filesystem = await this.getZfsFilesystem(filesystemArg);
+            logger.info(`Show the snapshots on '${filesystem.Name}'`);
+
+            const policy = await filesystem.getRetentionPolicy();
+            const snapshots = await filesystem.getSnapshotDetails();
+            lists.push({filesystem: filesystem.Name, policy: policy.toString(), snapshots});
+
+            if (format === 'table') {
+                await this.#printTable(filesystem, policy, snapshots);
+            }
+        }
+
+        if (format === 'json') {
+            logger.output(JSON.stringify(lists, null, 2));
+        }
+    }
 
-        const snapshotList = await filesystem.getSnapshotList();
-        const snapshotGenerationList = await snapshotList.getSnapshotsByGenerations();
+    /**
+     * Print the snapshots on the ZFS filesystem in the table with the totals by the generations.
+     * @param {ZfsFilesystem} filesystem a ZFS filesystem.
+     * @param {RetentionPolicy} policy the retention policy of the ZFS filesystem.
+     * @param {SnapshotDetail[]} snapshots the snapshots on the ZFS filesystem.
+     */
+    async #printTable(filesystem, policy, snapshots) {
+        logger.print(`'${filesystem.Name}' keeps the snapshots: ${policy}`);
+
+        // print the descendants purged with the different retention policy.
+        const descendants = await filesystem.openRecursively();
+        for (const descendant of descendants) {
+            const descendantPolicy = await descendant.getRetentionPolicy();
+            if (!descendantPolicy.equals(policy)) {
+                logger.print(`'${descendant.Name}' keeps the snapshots: ${descendantPolicy}`);
+            }
+        }
 
         logger.print(`'${filesystem.Name}' has the following snapshots:`);
-        logger.print(snapshotGenerationList);
+        const rows = [
+            ['NAME', 'CREATION', 'TIER', 'USED', 'WRITTEN', 'REFER', 'HOLDS'],
+            ...snapshots.map(s => [
+                s.name, s.creation.toLocaleString(), s.tier,
+                ZfsUtilities.formatSize(s.used), ZfsUtilities.formatSize(s.written), ZfsUtilities.formatSize(s.referenced),
+                s.holds.join(','),
+            ]),
+        ];
+        printRows(rows);
+
+        // the total of the used sizes is the least, because the used size excludes the blocks shared with other snapshots.
+        const generations = ['hourly', 'daily', 'weekly', 'monthly', 'yearly', 'labeled', 'pinned', 'expired'];
+        /** @type {Map<string, {count: number, used: number}>} */
+        const totals = new Map();
+        const sorted = [...snapshots].sort((a, b) => generations.indexOf(a.tier) - generations.indexOf(b.tier));
+        for (const snapshot of sorted) {
+            const total = totals.get(snapshot.tier) ?? {count: 0, used: 0};
+            total.count++;
+            total.used += snapshot.used;
+            totals.set(snapshot.tier, total);
+        }
+        const totalRows = [
+            ['TIER', 'SNAPSHOTS', 'USED'],
+            ...[...totals].map(([generation, total]) => [generation, `${total.count}`, ZfsUtilities.formatSize(total.used)]),
+        ];
+        printRows(totalRows);
+    }
+}
+
+/**
+ * 'restore' sub-command class
+ */
+class RestoreSubCommand extends SubCommand {
+    /**
+     * Same as the supper class.
+     */
+    async accessibleFilesystems() {
+        const option = CommandLine.getOption();
+        const [primaryArg] = option.arguments;
+
+        const fileArchive = FileArchive.parse(option.archive);
+        if (fileArchive) {
+            if (!fileArchive.exist()) {
+                logger.error(`An archive directory is not exist: ${option.archive}`);
+                return false;
+            }
+            const snapshots = await fileArchive.getSnapshots(primaryArg);
+            if (!snapshots) {
+                logger.error(`${primaryArg} is not archived on ${fileArchive.Location} yet.`);
+                return false;
+            }
+            // a file archive restores only to the last snapshots of the streams.
+            if (option.snapshot && !snapshots.includes(option.snapshot)) {
+                logger.error(`No streams end with the snapshot: ${primaryArg}@${option.snapshot} on ${fileArchive.Location}`);
+                return false;
+            }
+        }
+        else {
+            const archiveRoot = await ZfsFilesystem.getArchive(option.archive);
+            if (!archiveRoot) {
+                logger.error(`An archive ZFS filesystem is not exist: ${option.archive}`);
+                return false;
+            }
+            const archive = archiveRoot.open(primaryArg);
+            if (!archive.exist()) {
+                logger.error(`${primaryArg} is not archived on ${archive.Location} yet.`);
+                return false;
+            }
+            if (option.snapshot && !(await archive.getSnapshotList()).has(option.snapshot)) {
+                logger.error(`The snapshot is not exist: ${archive.Location}@${option.snapshot}`);
+                return false;
+            }
+        }
+
+        // refuse to overwrite the existing ZFS filesystem unless forced.
+        const target = option.to ?? primaryArg;
+        const filesystems = await ZfsFilesystem.getFilesystems();
+        if (filesystems.some(f => f.Name === target) && !option.force) {
+            logger.error(`A ZFS filesystem already exists: ${target}, specify the '--force' option to overwrite it.`);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Run the 'restore' sub-command.
+     */
+    async run() {
+        logger.debug(`Run 'restore' sub-command`);
+
+        const option = CommandLine.getOption();
+        const [primaryArg] = option.arguments;
+
+        // restore the mountpoint properties only to the primary, or the restored ZFS filesystems hide the primary.
+        const target = option.to ?? primaryArg;
+
+        const fileArchive = FileArchive.parse(option.archive);
+        if (fileArchive) {
+            const snapshots = await fileArchive.getSnapshots(primaryArg) ?? [];
+            const snapshot = option.snapshot ?? snapshots[snapshots.length - 1];
+            if (!snapshot) {
+                throw new Error(`No streams of the ${primaryArg} on ${fileArchive.Location}`);
+            }
+            logger.print(`Restore ${primaryArg}@${snapshot} on ${fileArchive.Location} to ${target}`);
+            await fileArchive.restore(primaryArg, target, snapshot, option.force, target === primaryArg);
+            logger.print(`Restored ${target}`);
+            return;
+        }
+
+        const archiveRoot = await this.getArchiveFilesystem(option.archive);
+        const archive = archiveRoot.open(primaryArg);
+
+        const snapshot = option.snapshot ?? (await archive.getSnapshotList()).getLatest();
+        if (!snapshot) {
+            throw new Error(`No snapshots on the ${archive.Location}`);
+        }
+
+        logger.print(`Restore ${archive.Location}@${snapshot} to ${target}`);
+        await archive.restore(target, snapshot, option.force, target === primaryArg);
+        logger.print(`Restored ${target}`);
+    }
+}
+
+/**
+ * 'prune' sub-command class
+ */
+class PruneSubCommand extends SubCommand {
+
+    /**
+     * Same as the supper class.
+     */
+    async accessibleFilesystems() {
+        const option = CommandLine.getOption();
+        const archiveArg = option.archive;
+
+        const accessible = await super.accessibleFilesystems(Boolean(archiveArg));
+        if (!accessible || !archiveArg) {
+            return accessible;
+        }
+
+        const archiveRoot = await this.getArchiveFilesystem(archiveArg);
+        for (const primaryArg of option.arguments) {
+            const archive = archiveRoot.open(primaryArg);
+            if (!archive.exist()) {
+                logger.error(`${primaryArg} is not archived on ${archive.Location} yet.`);
+                return false;
+            }
+        }
+        return true;
+    }
+
+    /**
+     * Run the 'prune' sub-command.
+     */
+    async run() {
+        logger.debug(`Run 'prune' sub-command`);
+
+        const option = CommandLine.getOption();
+
+        // plan the retention on the filesystems and their descendants.
+        /** @type {{filesystem: ZfsFilesystem, snapshots: string[]}[]} */
+        const plans = [];
+        for (const filesystemArg of option.arguments) {
+            if (option.archive) {
+                const archiveRoot = await this.getArchiveFilesystem(option.archive);
+                const root = archiveRoot.open(filesystemArg);
+                const descendants = await root.openRecursively();
+
+                for (const filesystem of [root, ...descendants]) {
+                    // the archive dataset has the same name as the primary under the archive root.
+                    const primaryName = filesystem.Name.substring(archiveRoot.Name.length + 1);
+                    const primary = await this.#findZfsFilesystem(primaryName);
+                    const snapshots = await this.#printArchivePlan(filesystem, primary);
+                    plans.push({filesystem, snapshots});
+                }
+                continue;
+            }
+
+            const root = await this.getZfsFilesystem(filesystemArg);
+            const {included} = await root.getIncludedFilesystems();
+
+            for (const filesystem of included) {
+                const snapshots = await this.#printPlan(filesystem);
+                plans.push({filesystem, snapshots});
+            }
+        }
+
+        const total = plans.reduce((sum, plan) => sum + plan.snapshots.length, 0);
+        if (total == 0) {
+            logger.print(`No snapshots to purge.`);
+            return;
+        }
+        if (option.dryRun) {
+            logger.print(`Dry run: ${total} snapshots would be purged.`);
+            return;
+        }
+        if (!option.yes && !await this.#confirm(total)) {
+            logger.print(`Canceled purging the snapshots.`);
+            return;
+        }
+
+        // purge the snapshots between the prune hooks on each of the filesystems.
+        /** @type {string[]} */
+        const aborted = [];
+        for (const plan of plans.filter(p => p.snapshots.length > 0)) {
+            const context = option.archive ? {filesystem: plan.filesystem.Name, archive: option.archive} : {filesystem: plan.filesystem.Name};
+            const succeeded = await this.runWithHooks(Hook.PRE_PRUNE, Hook.POST_PRUNE, context, async () => {
+                await plan.filesystem.destroySnapshots(plan.snapshots);
+                return {};
+            });
+            if (!succeeded) {
+                aborted.push(plan.filesystem.Name);
+            }
+        }
+        this.reportAborted(aborted);
+    }
+
+    /**
+     * Print the retention plan of a ZFS filesystem.
+     * @param {ZfsFilesystem} filesystem a ZFS filesystem.
+     * @returns {Promise<string[]>} the snapshots to destroy.
+     */
+    async #printPlan(filesystem) {
+        const policy = await filesystem.getRetentionPolicy();
+        const decisions = await filesystem.planRetention();
+
+        logger.print(`Retention plan of '${filesystem.Name}': ${policy}`);
+        const snapshots = this.#printDecisions(decisions);
+        return snapshots;
+    }
+
+    /**
+     * Print the archive retention plan of a ZFS filesystem on an archive.
+     * @param {ZfsFilesystem} filesystem a ZFS filesystem on an archive.
+     * @param {ZfsFilesystem|null} primary the primary ZFS filesystem, or null if the primary no longer exists.
+     * @returns {Promise<string[]>} the snapshots to destroy.
+     */
+    async #printArchivePlan(filesystem, primary) {
+        const policy = await filesystem.getRetentionPolicy(true);
+        const decisions = await filesystem.planArchiveRetention(primary);
+
+        logger.print(`Archive retention plan of '${filesystem.Name}': ${policy}`);
+        if (!primary) {
+            logger.warn(`The primary of '${filesystem.Name}' no longer exists.`);
+        }
+        const snapshots = this.#printDecisions(decisions);
+        return snapshots;
+    }
+
+    /**
+     * Print the decisions of a retention plan.
+     * @param {RetentionDecision[]} decisions the decisions of the snapshots.
+     * @returns {string[]} the snapshots to destroy.
+     */
+    #printDecisions(decisions) {
+        const width = Math.max(0, ...decisions.map(d => d.snapshot.length));
+        for (const decision of decisions) {
+            const action = decision.keep ? 'keep   ' : 'destroy';
+            logger.print(`  ${action} ${decision.snapshot.padEnd(width)}  ${decision.reason}`);
+        }
+
+        const snapshots = decisions.filter(d => !d.keep).map(d => d.snapshot);
+        return snapshots;
+    }
+
+    /**
+     * Find a ZFS filesystem from the name.
+     * @param {string} filesystemName the name of a ZFS filesystem.
+     * @returns {Promise<ZfsFilesystem|null>} the ZFS filesystem, or null if not exist on this machine.
+     */
+    async #findZfsFilesystem(filesystemName) {
+        const filesystems = await ZfsFilesystem.getFilesystems();
+        const filesystem = filesystems.find(f => f.Name === filesystemName) ?? null;
+        return filesystem;
+    }
+
+    /**
+     * Confirm purging the snapshots on the terminal.
+     * @param {number} total the number of the snapshots to purge.
+     * @returns {Promise<boolean>} true if confirmed, otherwise false.
+     */
+    async #confirm(total) {
+        if (!process.stdin.isTTY) {
+            logger.error(`Run with the --yes option to purge the snapshots on the non-interactive terminal.`);
+            return false;
+        }
+
+        const readline = createInterface({input: process.stdin, output: process.stdout});
+        try {
+            const answer = await readline.question(`Purge ${total} snapshots? [y/N] `);
+            return /^y(es)?$/i.test(answer.trim());
+        }
+        finally {
+            readline.close();
+        }
+    }
+}
+
+/**
+ * 'snapshot hold', 'snapshot release' and 'snapshot holds' sub-command class
+ */
+class HoldSubCommand extends SubCommand {
+
+    /**
+     * Same as the supper class.
+     */
+    async accessibleFilesystems() {
+        if (this.commandType == CommandType.HOLDS) {
+            const accessible = await super.accessibleFilesystems(false);
+            return accessible;
+        }
+
+        const option = CommandLine.getOption();
+        const [filesystemName, snapshot] = option.arguments[0].split('@');
+        if (!snapshot) {
+            logger.error(`Not a snapshot: ${option.arguments[0]}`);
+            return false;
+        }
+        if (/\s/.test(option.tag) || option.tag === '') {
+            logger.error(`The tag is empty or contains a space: '${option.tag}'`);
+            return false;
+        }
+
+        const filesystems = await ZfsFilesystem.getFilesystems();
+        if (!filesystems.some(f => f.Name === filesystemName)) {
+            logger.error(`A ZFS filesystem is not exist: ${filesystemName}`);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Run the 'snapshot hold', 'snapshot release' and 'snapshot holds' sub-command.
+     */
+    async run() {
+        logger.debug(`Run 'snapshot ${this.commandType}' sub-command`);
+
+        const option = CommandLine.getOption();
+
+        if (this.commandType == CommandType.HOLDS) {
+            for (const filesystemArg of option.arguments) {
+                const filesystem = await this.getZfsFilesystem(filesystemArg);
+                await this.#showHolds(filesystem);
+            }
+            return;
+        }
+
+        const [filesystemName, snapshot] = option.arguments[0].split('@');
+        const filesystem = await this.getZfsFilesystem(filesystemName);
+        if (this.commandType == CommandType.HOLD) {
+            await filesystem.hold(snapshot, option.tag);
+        }
+        else {
+            await filesystem.release(snapshot, option.tag);
+        }
+    }
+
+    /**
+     * Show the pinned snapshots on the ZFS filesystem and its descendants.
+     * @param {ZfsFilesystem} root a ZFS filesystem.
+     */
+    async #showHolds(root) {
+        logger.print(`'${root.Name}' has the following pinned snapshots:`);
+
+        const descendants = await root.openRecursively();
+        for (const filesystem of [root, ...descendants]) {
+            const holds = await filesystem.getHolds();
+            for (const [snapshot, tags] of holds) {
+                logger.print(`  ${filesystem.Name}@${snapshot}  ${tags.join(', ')}`);
+            }
+        }
     }
 }
 
@@ -397,3 +1586,91 @@ class SytemdSubcommand extends SubCommand {
         await ZfsUtilities.enableSystemd(enable, option.arguments);
     }
 }
+
+/**
+ * Compare the snapshots on a primary dataset with the ones on the archive dataset.
+ * @param {string} primaryName the name of the primary dataset.
+ * @param {Map<string, SnapshotIdentity>} primary the identities by the snapshot on the primary dataset.
+ * @param {string} archiveName the name of the archive dataset.
+ * @param {Map<string, SnapshotIdentity>} archive the identities by the snapshot on the archive dataset.
+ * @param {string} archived the snapshot backed up latest.
+ * @param {RetentionPolicy} policy the archive retention policy of the archive dataset.
+ * @returns {{discrepancies: string[], verified: number}} the discrepancies, and the number of the snapshots matched.
+ */
+function compareSnapshots(primaryName, primary, archiveName, archive, archived, policy) {
+    /** @type {string[]} */
+    const discrepancies = [];
+    const latest = archive.get(archived);
+    if (!latest) {
+        discrepancies.push(`missing snapshot: ${archiveName}@${archived}`);
+    }
+
+    // `zfs send -I` sends every snapshot between the oldest shared with the archive and the latest backed up,
+    // and the archive lacks only the ones its retention policy prunes.
+    const common = [...archive.keys()].filter(s => primary.get(s)?.guid === archive.get(s)?.guid);
+    /** @type {(snapshot: string) => number} */
+    const primaryTxg = (snapshot) => primary.get(snapshot)?.createtxg ?? 0;
+    const latestTxg = primary.get(archived)?.createtxg;
+    if (latest && latestTxg !== undefined && common.length > 0) {
+        const oldestTxg = Math.min(...common.map(primaryTxg));
+        const absent = [...primary.keys()]
+                .filter(s => !archive.has(s) && primaryTxg(s) > oldestTxg && primaryTxg(s) < latestTxg);
+        const plan = new SnapshotList([...archive.keys(), ...absent].map(s => `${archiveName}@${s}`)).getRetentionPlan(policy);
+        const pruned = new Set(plan.filter(d => !d.keep).map(d => d.snapshot));
+        for (const snapshot of absent.filter(s => !pruned.has(s))) {
+            discrepancies.push(`missing snapshot: ${archiveName}@${snapshot}`);
+        }
+    }
+
+    // the archive keeps the snapshots the primary purged, but none after the latest backup.
+    for (const [snapshot, identity] of archive) {
+        const counterpart = primary.get(snapshot);
+        if (counterpart && counterpart.guid !== identity.guid) {
+            discrepancies.push(`mismatched GUID: ${primaryName}@${snapshot} is ${counterpart.guid}, but ${archiveName}@${snapshot} is ${identity.guid}`);
+        }
+        else if (!counterpart && latest && identity.createtxg > latest.createtxg) {
+            discrepancies.push(`extra snapshot: ${archiveName}@${snapshot}`);
+        }
+    }
+
+    // the same snapshots are in the same order of the creation TXG on the both pools.
+    /** @type {(identities: Map<string, SnapshotIdentity>) => string[]} */
+    const order = (identities) => [...common].sort((a, b) => (identities.get(a)?.createtxg ?? 0) - (identities.get(b)?.createtxg ?? 0));
+    const primaryOrder = order(primary);
+    const archiveOrder = order(archive);
+    const index = primaryOrder.findIndex((s, i) => s !== archiveOrder[i]);
+    if (index >= 0) {
+        discrepancies.push(`mismatched order: ${archiveName}@${archiveOrder[index]} is created before ${archiveName}@${primaryOrder[index]}`);
+    }
+    return {discrepancies, verified: common.length};
+}
+
+/**
+ * Run a task on each of the primary ZFS filesystems, up to the number of the tasks at once.
+ * The log messages of the tasks are prefixed with the primary ZFS filesystem if running more than one at once.
+ * @param {ZfsFilesystem[]} primaries the primary ZFS filesystems.
+ * @param {number} jobs the maximum number of the tasks running at once.
+ * @param {(primary: ZfsFilesystem) => Promise<void>} task a task.
+ */
+async function runConcurrently(primaries, jobs, task) {
+    const queue = [...primaries];
+    const worker = async () => {
+        for (let primary = queue.shift(); primary !== undefined; primary = queue.shift()) {
+            const current = primary;
+            await (jobs > 1 ? logger.runTask(current.Name, () => task(current)) : task(current));
+        }
+    };
+    await Promise.all(Array.from({length: Math.min(jobs, primaries.length)}, worker));
+}
+
+/**
+ * Print the rows of a table aligned by the columns.
+ * @param {string[][]} rows the rows, the first of which is the header.
+ */
+function printRows(rows) {
+    const widths = rows[0].map((_, index) => Math.max(...rows.map(r => r[index].length)));
+    for (const row of rows) {
+        const line = row.map((cell, index) => cell.padEnd(widths[index])).join('  ');
+        logger.print(`  ${line.trimEnd()}`);
+    }
+}
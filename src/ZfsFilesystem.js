@@ -6,14 +6,36 @@
  */
 'use strict'
 
-import { Configure } from "./Configure.js";
 import { Logger } from "./Logger.js";
 import { CommandLine } from "./CommandLine.js";
 import { Snapshot } from "./Snapshot.js";
+import { RetentionPolicy, RetentionTier } from "./RetentionPolicy.js";
+/** @typedef {import("./RetentionPolicy.js").RetentionDecision} RetentionDecision */
+/** @typedef {import("./Progress.js").Progress} Progress */
+
+/**
+ * @typedef {Object} SnapshotDetail the details of a snapshot.
+ * @property {string} name the name of the snapshot.
+ * @property {Date} creation the time of creating the snapshot parsed from the name.
+ * @property {string} tier the generation of the snapshot, e.g., 'hourly', 'labeled', 'pinned' or 'expired'.
+ * @property {string} reason the reason of keeping or destroying the snapshot.
+ * @property {number} used the used size in bytes.
+ * @property {number} written the written size in bytes.
+ * @property {number} referenced the referenced size in bytes.
+ * @property {string[]} holds the tags of the holds.
+ */
+
+/**
+ * @typedef {Object} SnapshotIdentity the identity of a snapshot, which a send stream keeps on the archive.
+ * @property {string} guid the GUID of the snapshot, which is the same on the primary and the archive.
+ * @property {number} createtxg the transaction group creating the snapshot, which is in the order on each pool.
+ */
 import { ZfsUtilities } from "./ZfsUtilities.js";
+import { Remote } from "./Remote.js";
 
 import path from "node:path";
 import * as fs from 'node:fs';
+import stream from 'node:stream'; // NOSONAR
 import * as fsPromises from 'node:fs/promises';
 import * as streamPromises from "node:stream/promises";
 const { createHash } = await import('node:crypto');
@@ -69,6 +91,15 @@ export class SnapshotList {
         return result;
      }
 
+    /**
+     * Whether the list has a snapshot or not.
+     * @param {string} snapshot a snapshot.
+     * @returns {boolean} true if has, otherwise false.
+     */
+     has(snapshot) {
+        return this.#snapshots.includes(snapshot);
+     }
+
     /**
      * Get the latest snapshot.
      * @returns {string|null} the latest snapshot if exist, otherwise null.
@@ -84,66 +115,146 @@ export class SnapshotList {
      }
 
     /**
-     * Get snapshots by the young, the middle, and the old generations.
-     * @returns {Promise<{youngSnapshots: string[], middleSnapshots: string[], oldSnapshots: string[]}>}
-     *     an object of snapshots by the young, the middle, and the old generations.
+     * Get the Elephant Backup snapshots.
+     * @returns {string[]} the snapshots sorted from the oldest.
      */
-    async getSnapshotsByGenerations() {
-        const now = new Date();
-
-        const snapshots = this.#snapshots;
-
-        // the young generation is between now to Configure.SNAPSHOT_KEEP_HOURS
-        const hourLimit = new Date(now);
-        hourLimit.setHours(hourLimit.getHours() - Configure.SNAPSHOT_KEEP_HOURS);
+    getElephantSnapshots() {
+        const snapshots = this.#snapshots
+                .filter(s => Snapshot.isCorrectedName(s))
+                .map(s => new Snapshot(s))
+                .sort((a, b) => a.getDate().getTime() - b.getDate().getTime())
+                .map(s => s.name);
+        return snapshots;
+    }
 
-        // the middle generation is between 'hourLimit'(hours) to Configure.SNAPSHOT_KEEP_DAYS * 24(hours).
-        const dayLimit = new Date(now);
-        dayLimit.setDate(dayLimit.getDate() - Configure.SNAPSHOT_KEEP_DAYS);
+    /**
+     * Plan the retention of the Elephant Backup snapshots with a retention policy.
+     * Each tier keeps the newest snapshot per one period, called the bucket, up to its number of snapshots keeping,
+     * and a snapshot is kept by the youngest tier keeping it.
+     * The snapshots no tiers keep are destroyed except the pinned snapshots and the newest snapshot,
+     * which the next incremental backup starts from even if every tier keeps none.
+     * The labeled snapshots are out of the tiers, and kept for the number of days keeping the labeled snapshots.
+     * @param {RetentionPolicy} policy the retention policy of the ZFS filesystem.
+     * @param {Map<string, string>} pins the snapshots kept regardless of the policy, and the reasons.
+     * @returns {RetentionDecision[]} the decisions of the snapshots sorted from the oldest.
+     */
+    getRetentionPlan(policy, pins = new Map()) {
+        const snapshots = this.getElephantSnapshots().map(s => new Snapshot(s));
 
-        // the old generation is between Configure.SNAPSHOT_KEEP_DAYS to the infinite time.
-        // const weekLimit = new Date(now);
-        // weekLimit.setDate(hourLimit.getDate() - Configure.SNAPSHOT_KEEP_WEEKS * 7);
+        // never destroy the newest snapshot as well as purging to free the space.
+        const newest = snapshots[snapshots.length - 1];
+        if (newest && !pins.has(newest.name)) {
+            pins = new Map(pins).set(newest.name, 'the newest snapshot');
+        }
 
-        /** @type {string[]} */ 
-        const youngSnapshots = [];
-        /** @type {string[]} */ 
-        const middleSnapshots = [];
-        /** @type {string[]} */ 
-        const oldSnapshots = [];
+        // look up the unlabeled snapshots from the newest.
+        const newestFirst = snapshots.filter(s => s.label === null).reverse();
+
+        /** @type {Map<string, {tier: RetentionTier, bucket: string}>} */
+        const kept = new Map();
+        /** @type {Map<string, {tier: RetentionTier, bucket: string}>} */
+        const superseded = new Map();
+        for (const tier of RetentionTier.ALL) {
+            const keep = policy.getKeep(tier);
+
+            /** @type {Set<string>} */
+            const buckets = new Set();
+            for (const snapshot of newestFirst) {
+                if (buckets.size >= keep) {
+                    break;
+                }
+                const bucket = tier.getBucket(snapshot.getDate());
+                if (buckets.has(bucket)) {
+                    // the newer snapshot already stands for the bucket.
+                    if (!superseded.has(snapshot.name)) {
+                        superseded.set(snapshot.name, {tier, bucket});
+                    }
+                    continue;
+                }
+                buckets.add(bucket);
+                if (!kept.has(snapshot.name)) {
+                    kept.set(snapshot.name, {tier, bucket});
+                }
+            }
+        }
 
-        for (const snapshotName of snapshots) {
-            const isCorrected = Snapshot.isCorrectedName(snapshotName);
-            if (!isCorrected) {
-                continue;
+        const labeledDays = policy.keepLabeledDays;
+        const labeledExpiry = Date.now() - labeledDays * 24 * 60 * 60 * 1000;
+
+        /** @type {RetentionDecision[]} */
+        const decisions = snapshots.map(s => {
+            const label = s.label;
+            if (label !== null) {
+                const pin = pins.get(s.name);
+                if (labeledDays === Infinity) {
+                    return {snapshot: s.name, keep: true, tier: null, reason: `labeled '${label}' kept forever`, pinned: false};
+                }
+                if (s.getDate().getTime() > labeledExpiry) {
+                    return {snapshot: s.name, keep: true, tier: null, reason: `labeled '${label}' kept for ${labeledDays} days`, pinned: false};
+                }
+                if (pin) {
+                    return {snapshot: s.name, keep: true, tier: null, reason: `pinned: ${pin}`, pinned: true};
+                }
+                return {snapshot: s.name, keep: false, tier: null, reason: `labeled '${label}' older than ${labeledDays} days`, pinned: false};
             }
-            const snapshot = new Snapshot(snapshotName);
-            const snapshotTime = snapshot.getDate();
-            if (snapshotTime > hourLimit) {
-                youngSnapshots.push(snapshotName);
+            const keptBy = kept.get(s.name);
+            if (keptBy) {
+                return {snapshot: s.name, keep: true, tier: keptBy.tier, reason: `${keptBy.tier.name} ${keptBy.bucket}`, pinned: false};
             }
-            else if (snapshotTime > dayLimit) {
-                middleSnapshots.push(snapshotName);
+            const pin = pins.get(s.name);
+            if (pin) {
+                return {snapshot: s.name, keep: true, tier: null, reason: `pinned: ${pin}`, pinned: true};
             }
-            else {
-                oldSnapshots.push(snapshotName);
+            const supersededBy = superseded.get(s.name);
+            if (supersededBy) {
+                return {snapshot: s.name, keep: false, tier: null,
+                        reason: `a newer snapshot stands for ${supersededBy.tier.name} ${supersededBy.bucket}`, pinned: false};
             }
+            return {snapshot: s.name, keep: false, tier: null, reason: 'over the count of every tier', pinned: false};
+        });
+        return decisions;
+    }
+
+    /**
+     * Get the generation of a snapshot, meaning the tier of the retention policy keeping it.
+     * The snapshots no tiers keep are the labeled, the pinned or the expired snapshots.
+     * @param {RetentionDecision} decision the decision of the snapshot.
+     * @returns {string} 'hourly', 'daily', 'weekly', 'monthly', 'yearly', 'labeled', 'pinned' or 'expired'.
+     */
+    static getGeneration(decision) {
+        if (decision.tier) {
+            return decision.tier.name;
         }
-        const result = {youngSnapshots, middleSnapshots, oldSnapshots};
-        return result;
+        if (!decision.keep) {
+            return 'expired';
+        }
+        return decision.pinned ? 'pinned' : 'labeled';
     }
+
 }
 
 export class ZfsFilesystem {
 
+    /** @type {string} The ZFS user property of the latest snapshot backed up to an archive. */
+    static PROPERTY_ARCHIVED = 'elephant:archived';
+
+    /** @type {string} The ZFS user property excluding the dataset and its descendants from Elephant Backup. */
+    static PROPERTY_EXCLUDE = 'elephant:exclude';
+
     static #initialized = false;
 
     /** @type {string[]} */
     static #zfsFilesystemArray;
 
+    /** @type {Map<string, string[]>} The ZFS filesystems by the remote host. */
+    static #remoteFilesystemArrays = new Map();
+
     /** @type {string} */
     #name;
 
+    /** @type {Remote|null} */
+    #remote;
+
     /** @type {string|null} */
     #newSnapshot = null;
 
@@ -164,20 +275,43 @@ export class ZfsFilesystem {
         return filesystems;
     }
 
+    /**
+     * Get an archive ZfsFilesystem on this machine or on a remote host.
+     * @param {string} spec a ZFS filesystem, or a ZFS filesystem on a remote host, e.g., 'backup@nas:tank/archive'.
+     * @returns {Promise<ZfsFilesystem|null>} the archive ZFS filesystem, or null if not exist.
+     */
+    static async getArchive(spec) {
+        const {remote, filesystem} = Remote.parse(spec);
+        if (!remote) {
+            const filesystems = await ZfsFilesystem.getFilesystems();
+            return filesystems.find(f => f.Name === filesystem) ?? null;
+        }
+
+        const key = remote.toString();
+        if (!ZfsFilesystem.#remoteFilesystemArrays.has(key)) {
+            const filesystems = await ZfsUtilities.filesystemList('', remote);
+            ZfsFilesystem.#remoteFilesystemArrays.set(key, filesystems);
+        }
+        const archive = new ZfsFilesystem(filesystem, remote);
+        return archive.exist() ? archive : null;
+    }
+
     /**
      * I designed this constructor with PRIVATE.
      * Construct a ZfsFilesystem with the filesystem variable.
      * @param {string} filesystem a ZFS filesystem.
+     * @param {Remote|null} remote the remote host of the ZFS filesystem, null if on this machine.
      */
-    constructor(filesystem) {
+    constructor(filesystem, remote = null) {
         this.#name = filesystem;
+        this.#remote = remote;
     }
 
     /**
      * Create a ZFS Dataset on the filesystem.
      */
     async create() {
-        await ZfsUtilities.createZfsDataset(this.#name);
+        await ZfsUtilities.createZfsDataset(this.#name, this.#remote);
     }
 
     /**
@@ -189,7 +323,7 @@ export class ZfsFilesystem {
         if (!this.exist()) {
             throw new Error(`ZFS filesystem does not exist: ${this.#name}`);
         }
-        return new ZfsFilesystem(`${this.#name}/${dataset}`);
+        return new ZfsFilesystem(`${this.#name}/${dataset}`, this.#remote);
     }
 
     /**
@@ -214,7 +348,10 @@ export class ZfsFilesystem {
      * @returns {boolean} true if exist, false if not.
      */
     exist() {
-        const included = ZfsFilesystem.#zfsFilesystemArray.includes(this.#name);
+        const filesystems = this.#remote ?
+                ZfsFilesystem.#remoteFilesystemArrays.get(this.#remote.toString()) ?? [] :
+                ZfsFilesystem.#zfsFilesystemArray;
+        const included = filesystems.includes(this.#name);
         return included;
     }
 
@@ -223,14 +360,14 @@ export class ZfsFilesystem {
      * @returns {Promise<ZfsFilesystem[]>} a ZfsFilesystem array of all the ZFS datasets contained in the filesystem.
      */
      async openRecursively() {
-        const filesystems = await ZfsUtilities.filesystemList(this.#name);
+        const filesystems = await ZfsUtilities.filesystemList(this.#name, this.#remote);
 
         const children = filesystems
                 .filter(f => f.startsWith(this.#name))
                 .filter(f => f !== this.#name);
 
         const childrenInstances = 
-                children.map( c => new ZfsFilesystem(c));
+                children.map( c => new ZfsFilesystem(c, this.#remote));
 
         return childrenInstances;
     }
@@ -239,91 +376,529 @@ export class ZfsFilesystem {
      * Estimate the send size of the snapshots between first and last on the ZFS filesystem.
      * @param {string} first the first snapshot.
      * @param {string} last the last snapshot. send the only one snapshot if last is empty string.
-     * @return {Promise<string>} the estimated size.
+     * @param {boolean} recursive true if back up the descendants too, false if only the filesystem.
+     * @return {Promise<number|null>} the estimated size in bytes, null if unknown on dry run.
      */
-    async estimateBackupSize(first, last = '') {
-        const result = await ZfsUtilities.estimateSendSize(this.#name, first, last);
+    async estimateBackupSize(first, last = '', recursive = true) {
+        const result = await ZfsUtilities.estimateSendSize(this.#name, first, last, recursive);
         return result;
     }
 
     /**
      * Back up the snapshots between first and last on the filesystem.
-     * @param {string} archive a ZFS filesystem to store the filesystem.
+     * @param {ZfsFilesystem} archive a ZFS filesystem to store the filesystem.
+     * @param {string} first the first snapshot.
+     * @param {string} last the last snapshot. send only one snapshot if last is empty string.
+     * @param {boolean} recursive true if back up the descendants too, false if only the filesystem.
+     * @param {Progress|null} progress the progress of the backup, null if start a new one without the total size.
+     * @returns {Promise<number>} the size sent in bytes.
+     */
+    async backup(archive, first, last = '', recursive = true, progress = null) {
+        return await ZfsUtilities.sendAndReceiveZfsFilesystem(archive.#name, this.#name, first, last, recursive, archive.#remote, progress);
+    }
+
+    /**
+     * Back up the snapshots between first and last on the filesystem to a stream instead of an archive ZFS filesystem.
+     * @param {stream.Writable} destination a stream to write the send stream to.
      * @param {string} first the first snapshot.
      * @param {string} last the last snapshot. send only one snapshot if last is empty string.
+     * @param {boolean} recursive true if back up the descendants too, false if only the filesystem.
+     * @param {Progress|null} progress the progress of the backup, null if start a new one without the total size.
      */
-    async backup(archive, first, last = '') {
-        await ZfsUtilities.sendAndReceiveZfsFilesystem(archive, this.#name, first, last);
+    async backupToStream(destination, first, last = '', recursive = true, progress = null) {
+        await ZfsUtilities.sendToStream(destination, this.#name, first, last, recursive, progress);
+    }
+
+    /**
+     * Restore a snapshot on the archive ZFS filesystem and its descendants to a primary ZFS filesystem.
+     * @param {string} target the primary ZFS filesystem to restore to.
+     * @param {string} snapshot the snapshot restoring.
+     * @param {boolean} force true if overwrite the existing target.
+     * @param {boolean} mountPoint true if restore the mountpoint properties of the primary,
+     *     false if inherit the mountpoint property from the parent of the target.
+     */
+    async restore(target, snapshot, force, mountPoint) {
+        await ZfsUtilities.sendAndReceiveToRestore(target, this.#name, snapshot, force, this.#remote);
+
+        // `zfs recv -x mountpoint` on backing up keeps the mountpoint of the primary as the received value.
+        const mountPoints = await ZfsUtilities.getReceivedValuesRecursively(this.#name, 'mountpoint', this.#remote);
+        const received = new Map([...mountPoints].map(([name, value]) => [name.substring(this.#name.length), value]));
+        await ZfsFilesystem.mountRestored(target, received, mountPoint);
+    }
+
+    /**
+     * Mount a restored ZFS filesystem and its descendants.
+     * @param {string} target the restored ZFS filesystem.
+     * @param {Map<string, string>} received the received mountpoint values by the name relative to the target,
+     *     e.g., '' for the target and '/var' for its descendant.
+     * @param {boolean} mountPoint true if restore the received mountpoint values,
+     *     false if inherit the mountpoint property from the parent of the target.
+     */
+    static async mountRestored(target, received, mountPoint) {
+        for (const [relative, receivedValue] of received) {
+            const restored = `${target}${relative}`;
+            const value = mountPoint ? receivedValue : '-';
+            if (value !== '-') {
+                await ZfsUtilities.setProperty(restored, 'mountpoint', value);
+            }
+            if (value === 'none' || value === 'legacy') {
+                continue;
+            }
+            try {
+                await ZfsUtilities.mount(restored);
+            }
+            catch (err) {
+                logger.warn(`Cannot mount ${restored}, mount it yourself, e.g., after loading the key: ${/** @type {Error} */(err).message}`);
+            }
+        }
+    }
+
+    /**
+     * Get the ZFS filesystem and its descendants having received partially with the receive resume tokens.
+     * @returns {Promise<{filesystem: ZfsFilesystem, token: string}[]>} the ZFS filesystems and their tokens.
+     */
+    async getResumeTokens() {
+        const tokens = await ZfsUtilities.getResumeTokens(this.#name, this.#remote);
+        return [...tokens].map(([name, token]) => ({filesystem: new ZfsFilesystem(name, this.#remote), token}));
+    }
+
+    /**
+     * Estimate the size of resuming the receive interrupted on the ZFS filesystem.
+     * @param {string} token the receive resume token on the ZFS filesystem.
+     * @returns {Promise<number|null>} the estimated size in bytes, null if unknown on dry run.
+     */
+    async estimateResumeSize(token) {
+        return await ZfsUtilities.estimateResumeSize(token);
+    }
+
+    /**
+     * Resume receiving the ZFS filesystem interrupted on receiving.
+     * @param {string} token the receive resume token on the ZFS filesystem.
+     * @returns {Promise<number>} the size sent in bytes.
+     */
+    async resumeReceive(token) {
+        return await ZfsUtilities.resumeSendAndReceive(this.#name, token, this.#remote);
+    }
+
+    /**
+     * Abort receiving the ZFS filesystem interrupted on receiving, and discard the partial state.
+     */
+    async abortReceive() {
+        await ZfsUtilities.abortReceive(this.#name, this.#remote);
+    }
+
+    /**
+     * Get the ZFS filesystem and its descendants except the excluded datasets.
+     * A dataset is excluded with the 'elephant:exclude=on' ZFS user property, which its descendants inherit,
+     * or with the '--exclude' option, which excludes its descendants too.
+     * @returns {Promise<{included: ZfsFilesystem[], excluded: boolean}>}
+     *     the included datasets from the filesystem, and true if any of the datasets are excluded.
+     */
+    async getIncludedFilesystems() {
+        const option = CommandLine.getOption();
+        const optionExcludes = option.exclude ?? [];
+
+        const values = await ZfsUtilities.getValuesRecursively(this.#name, ZfsFilesystem.PROPERTY_EXCLUDE);
+
+        /** @type {ZfsFilesystem[]} */
+        const included = [];
+        let excluded = false;
+        for (const [name, value] of values) {
+            const excludedByOption = optionExcludes.some(e => name === e || name.startsWith(`${e}/`));
+            if (value === 'on' || excludedByOption) {
+                logger.debug(`Excluded the ZFS dataset: ${name}`);
+                excluded = true;
+                continue;
+            }
+            included.push(name === this.#name ? this : new ZfsFilesystem(name));
+        }
+        return {included, excluded};
+    }
+
+    /**
+     * Get the encrypted ZFS filesystem and its descendants, which only a raw send stream holds as is.
+     * @returns {Promise<string[]>} the names of the encrypted ZFS filesystems.
+     */
+    async getEncryptedFilesystems() {
+        const values = await ZfsUtilities.getValuesRecursively(this.#name, 'encryption');
+        return [...values].filter(([_, value]) => value !== 'off').map(([name]) => name);
     }
 
     /**
      * Take the new snapshot on the ZFS filesystem.
+     * @param {string|null} label the label of the snapshot, or null if no label.
+     * @returns {Promise<string>} the new snapshot.
      */
-    async takeNewSnapshot() {
+    async takeNewSnapshot(label = null) {
         // take the new snapshot on the filesystem and remember the new snapshot.
-        const snapshot = Snapshot.createSnapshot();
+        const snapshot = Snapshot.createSnapshot(label);
+
+        const {included, excluded} = await this.getIncludedFilesystems();
+        if (!excluded) {
+            const newSnapshot = await ZfsUtilities.takeSnapshot(snapshot.name, this.#name);
+            this.#newSnapshot = newSnapshot;
+            return snapshot.name;
+        }
+
+        // take the snapshot on each of the included datasets instead of recursively.
+        if (included.length == 0) {
+            logger.warn(`Skipped taking a snapshot on the excluded ZFS filesystem: ${this.#name}`);
+            return snapshot.name;
+        }
+        const names = included.map(f => f.Name);
+        const newSnapshots = await ZfsUtilities.takeSnapshots(snapshot.name, names);
+        included.forEach((filesystem, index) => {
+            filesystem.#newSnapshot = newSnapshots[index];
+        });
+        return snapshot.name;
+    }
 
-        const newSnapshot = await ZfsUtilities.takeSnapshot(snapshot.name, this.#name);
-        this.#newSnapshot = newSnapshot;
+    /**
+     * Take the new snapshot on the ZFS filesystems with the same name in one instant as far as ZFS allows.
+     * ZFS takes the snapshots atomically only in a ZFS pool, so they are taken with one command by the ZFS pool.
+     * @param {ZfsFilesystem[]} filesystems the ZFS filesystems.
+     * @param {string|null} label the label of the snapshot, or null if no label.
+     * @returns {Promise<string>} the new snapshot.
+     */
+    static async takeNewSnapshots(filesystems, label = null) {
+        const snapshot = Snapshot.createSnapshot(label);
+
+        // take the snapshot recursively unless any of the datasets are excluded.
+        let recursive = true;
+        /** @type {string[]} */
+        const includedNames = [];
+        for (const filesystem of filesystems) {
+            const {included, excluded} = await filesystem.getIncludedFilesystems();
+            recursive &&= !excluded;
+            includedNames.push(...included.map(f => f.Name));
+        }
+        // a descendant of another filesystem already has the snapshot taken recursively.
+        const names = recursive ?
+                filesystems.map(f => f.Name).filter(n => !filesystems.some(f => n.startsWith(`${f.Name}/`))) :
+                includedNames;
+
+        /** @type {Map<string, string[]>} */
+        const namesByPool = new Map();
+        for (const name of new Set(names)) {
+            const pool = name.split('/')[0];
+            namesByPool.set(pool, [...namesByPool.get(pool) ?? [], name]);
+        }
+        if (namesByPool.size > 1) {
+            logger.warn(`ZFS takes the snapshots atomically only in a ZFS pool, ` +
+                    `so take them on ${[...namesByPool.keys()].join(', ')} one after another.`);
+        }
+        for (const poolNames of namesByPool.values()) {
+            await ZfsUtilities.takeSnapshots(snapshot.name, poolNames, recursive);
+        }
+
+        for (const filesystem of filesystems) {
+            filesystem.#newSnapshot = `${filesystem.Name}@${snapshot.name}`;
+        }
+        return snapshot.name;
+    }
+
+    /**
+     * Get the effective retention policy on the ZFS filesystem.
+     * @param {boolean} archive true if the ZFS filesystem is on an archive, false if on a primary.
+     * @returns {Promise<RetentionPolicy>} the retention policy.
+     */
+    async getRetentionPolicy(archive = false) {
+        const policy = await RetentionPolicy.fromFilesystem(this.#name, archive, this.#remote);
+        return policy;
     }
 
     /**
-     * Purge snapshots on the ZFS filesystem.
+     * Purge snapshots on the ZFS filesystem and its descendants.
+     * Each of them is purged with its own retention policy.
      */
      async purgeSnapshots() {
-        const snapshotList = await this.getSnapshotList();
-        const snapshotsByGeneration = await snapshotList.getSnapshotsByGenerations();
+        const {included} = await this.getIncludedFilesystems();
 
-        // purge the snapshots one snapshot per one day on the day period.
-        await this.#destroySnapshot(snapshotsByGeneration.middleSnapshots, 1);
+        for (const filesystem of included) {
+            const decisions = await filesystem.planRetention();
 
-        // purge the snapshots one snapshot per one week on the week period.
-        await this.#destroySnapshot(snapshotsByGeneration.oldSnapshots, 7);
+            // report the snapshots kept only by the pins, not the labeled snapshots kept by design.
+            const pinned = decisions.filter(d => d.pinned);
+            for (const decision of pinned) {
+                logger.print(`Skipped purging the snapshot: ${filesystem.Name}@${decision.snapshot} (${decision.reason})`);
+            }
 
-        // purge the snapshots over number of the keeping them on the week period.
-        await this.#destroySnapshotNumber(snapshotsByGeneration.oldSnapshots, Configure.SNAPSHOT_KEEP_WEEKS);
+            const expired = decisions.filter(d => !d.keep).map(d => d.snapshot);
+            await filesystem.destroySnapshots(expired);
+        }
     }
 
     /**
-     * Destroy snapshots on the ZFS filesystem.
-     * @param {string[]} snapshots a array of snapshots.
-     * @param {number} offset a date offset to decrease the base date.
+     * Plan the retention of the snapshots on only the ZFS filesystem, not on its descendants.
+     * The latest snapshot backed up to an archive is pinned.
+     * @returns {Promise<RetentionDecision[]>} the decisions of the snapshots sorted from the oldest.
      */
-     async #destroySnapshot(snapshots, offset) {
-        // minimum date on JavaScript
-        let earliestSnapshotDate = new Date(-8640000000000000);
+    async planRetention() {
+        const policy = await this.getRetentionPolicy();
+        const snapshotList = await this.getSnapshotList();
+        const pins = await this.getPins();
 
-        for (const snapshotName of snapshots) {
-            const isCorrected = Snapshot.isCorrectedName(snapshotName);
-            if (!isCorrected) {
-                // the snapshot is not Elephant Backup's snapshot.
-                continue;
+        const decisions = snapshotList.getRetentionPlan(policy, pins);
+        return decisions;
+    }
+
+    /**
+     * Plan the retention of the snapshots on only the ZFS filesystem on an archive with the archive retention policy.
+     * The latest snapshot shared with the primary is pinned, which the next incremental backup starts from.
+     * @param {ZfsFilesystem|null} primary the primary ZFS filesystem, or null if the primary no longer exists.
+     * @returns {Promise<RetentionDecision[]>} the decisions of the snapshots sorted from the oldest.
+     */
+    async planArchiveRetention(primary) {
+        const policy = await this.getRetentionPolicy(true);
+        const snapshotList = await this.getSnapshotList();
+
+        /** @type {Map<string, string>} */
+        const pins = new Map();
+        if (primary) {
+            const primarySnapshotList = await primary.getSnapshotList();
+            const shared = snapshotList.findLatest(primarySnapshotList);
+            if (shared) {
+                pins.set(shared, `the latest shared with ${primary.Name}`);
             }
-            const snapshot = new Snapshot(snapshotName);
-            const snapshotDate = snapshot.getDate();
-            if (snapshotDate >= earliestSnapshotDate) {
-                // the next date to keep snapshot. 
-                earliestSnapshotDate = snapshotDate;
-                earliestSnapshotDate.setDate(earliestSnapshotDate.getDate() + offset);
+        }
+        const holds = await this.getHolds();
+        for (const [snapshot, tags] of holds) {
+            pins.set(snapshot, `held by ${tags.join(', ')}`);
+        }
+
+        const decisions = snapshotList.getRetentionPlan(policy, pins);
+        return decisions;
+    }
+
+    /**
+     * Get the details of the Elephant Backup snapshots on only the ZFS filesystem.
+     * @returns {Promise<SnapshotDetail[]>} the details sorted from the oldest.
+     */
+    async getSnapshotDetails() {
+        const decisions = await this.planRetention();
+        const sizes = await ZfsUtilities.getSnapshotSizes(this.#name, this.#remote);
+        const holds = await this.getHolds();
+
+        /** @type {SnapshotDetail[]} */
+        const details = decisions.map(d => {
+            const size = sizes.get(d.snapshot) ?? {used: 0, written: 0, referenced: 0};
+            return {
+                name: d.snapshot,
+                creation: new Snapshot(d.snapshot).getDate(),
+                tier: SnapshotList.getGeneration(d),
+                reason: d.reason,
+                ...size,
+                holds: holds.get(d.snapshot) ?? [],
+            };
+        });
+        return details;
+    }
+
+    /**
+     * Get the identities of the snapshots on the ZFS filesystem and its descendants.
+     * @returns {Promise<Map<string, Map<string, SnapshotIdentity>>>} the identity by the snapshot by the relative name of the dataset,
+     *     e.g., '' for the ZFS filesystem itself and '/home' for its descendant.
+     */
+    async getSnapshotIdentities() {
+        const identities = await ZfsUtilities.getSnapshotIdentities(this.#name, this.#remote);
+        return new Map([...identities].map(([dataset, snapshots]) => [dataset.substring(this.#name.length), snapshots]));
+    }
+
+    /**
+     * Get the snapshots on the ZFS filesystem kept regardless of the retention policy.
+     * @returns {Promise<Map<string, string>>} the snapshots and the reasons.
+     */
+    async getPins() {
+        /** @type {Map<string, string>} */
+        const pins = new Map();
+
+        const archived = await this.getArchivedSnapshot();
+        if (archived) {
+            pins.set(archived, 'the latest backed up');
+        }
+
+        // skip the held snapshots, which the destroy command fails on.
+        const holds = await this.getHolds();
+        for (const [snapshot, tags] of holds) {
+            pins.set(snapshot, `held by ${tags.join(', ')}`);
+        }
+        return pins;
+    }
+
+    /**
+     * Get the holds on the snapshots on only the ZFS filesystem.
+     * @returns {Promise<Map<string, string[]>>} the tags of the holds by the held snapshot.
+     */
+    async getHolds() {
+        const holds = await ZfsUtilities.getHolds(this.#name, this.#remote);
+        return holds;
+    }
+
+    /**
+     * Pin a snapshot on the ZFS filesystem and its descendants with the ZFS hold.
+     * @param {string} snapshot a snapshot.
+     * @param {string} tag the tag of the hold.
+     */
+    async hold(snapshot, tag) {
+        await ZfsUtilities.holdSnapshot(tag, `${this.#name}@${snapshot}`);
+    }
+
+    /**
+     * Unpin a snapshot on the ZFS filesystem and its descendants pinned with the ZFS hold.
+     * @param {string} snapshot a snapshot.
+     * @param {string} tag the tag of the hold.
+     */
+    async release(snapshot, tag) {
+        await ZfsUtilities.releaseSnapshot(tag, `${this.#name}@${snapshot}`);
+    }
+
+    /**
+     * Destroy snapshots on only the ZFS filesystem, not on its descendants.
+     * @param {string[]} snapshots the snapshots.
+     */
+    async destroySnapshots(snapshots) {
+        await ZfsUtilities.destroySnapshots(snapshots, this.#name, this.#remote);
+    }
+
+    /**
+     * Get the space available for the ZFS filesystem and its descendants, which the quotas limit too.
+     * @returns {Promise<number>} the available space in bytes.
+     */
+    async getAvailableSize() {
+        const values = await ZfsUtilities.getProperties(this.#name, ['available'], true, this.#remote);
+        return Number(values.get('available')?.value);
+    }
+
+    /**
+     * Purge the oldest snapshots on the ZFS filesystem and its descendants until the ZFS pool has the free space.
+     * Never purge the newest, the held and the labeled snapshots and the latest snapshot backed up to an archive
+     * on each of the datasets, and skip the excluded datasets.
+     * @param {{bytes: number}|{percent: number}} freeSpace the free space in bytes, or the percent of the ZFS pool.
+     */
+    async purgeToFree(freeSpace) {
+        const pool = this.#name.split('/')[0];
+        const values = await ZfsUtilities.getProperties(pool, ['available', 'used'], true);
+        const available = Number(values.get('available')?.value);
+        const used = Number(values.get('used')?.value);
+
+        const required = 'bytes' in freeSpace ?
+                freeSpace.bytes :
+                Math.ceil((available + used) * freeSpace.percent / 100);
+        logger.print(`The free space of ${pool}: ${ZfsUtilities.formatSize(available)}, required: ${ZfsUtilities.formatSize(required)}`);
+        if (available >= required) {
+            logger.print(`${pool} already has the free space.`);
+            return;
+        }
+        const shortage = required - available;
+
+        // purge the snapshots on each of the included datasets with its own pins, which a recursive destroy
+        // misses on the descendants.
+        const {included} = await this.getIncludedFilesystems();
+        /** @type {Map<string, string[]>} */
+        const targets = new Map();
+        for (const filesystem of included) {
+            targets.set(filesystem.Name, await filesystem.#getPrunableSnapshots());
+        }
+        const candidates = [...new Set([...targets.values()].flat())]
+                .map(s => new Snapshot(s))
+                .sort((a, b) => a.getDate().getTime() - b.getDate().getTime())
+                .map(s => s.name);
+        if (candidates.length == 0) {
+            logger.error(`No snapshots to purge on ${this.#name}`);
+            return;
+        }
+
+        // estimate the reclaimed space with the destroy command because the used property of
+        // each snapshot does not count the blocks shared among the snapshots.
+        const allReclaimed = await this.#estimateDestroySize(candidates, targets);
+        if (allReclaimed < shortage) {
+            logger.error(`Cannot free ${ZfsUtilities.formatSize(shortage)} on ${pool}, ` +
+                    `purging all the ${candidates.length} snapshots reclaims only ${ZfsUtilities.formatSize(allReclaimed)}.`);
+            return;
+        }
+
+        // find the fewest oldest snapshots reclaiming the shortage.
+        let low = 1;
+        let high = candidates.length;
+        let reclaimed = allReclaimed;
+        while (low < high) {
+            const middle = Math.floor((low + high) / 2);
+            const size = await this.#estimateDestroySize(candidates.slice(0, middle), targets);
+            if (size >= shortage) {
+                high = middle;
+                reclaimed = size;
             }
             else {
-                await ZfsUtilities.destroySnapshot(snapshotName, this.#name);
+                low = middle + 1;
             }
         }
-     }
+
+        logger.print(`Purge ${low} snapshots reclaiming ${ZfsUtilities.formatSize(reclaimed)} on ${this.#name}`);
+        const purging = candidates.slice(0, low);
+        for (const [filesystem, prunables] of targets) {
+            await ZfsUtilities.destroySnapshots(purging.filter(p => prunables.includes(p)), filesystem);
+        }
+    }
 
     /**
-     * Destroy snapshots on the ZFS filesystem with the number of keeping snapshots.
-     * @param {string[]} snapshots a array of snapshots.
-     * @param {number} number a number of keeping snapshots.
+     * Estimate the space reclaimed by destroying snapshots on the included datasets.
+     * @param {string[]} snapshots the snapshots.
+     * @param {Map<string, string[]>} targets the snapshots possible to purge by the included datasets.
+     * @returns {Promise<number>} the reclaimed size in bytes.
      */
-     async #destroySnapshotNumber(snapshots, number) {
-        const destroyNumber = snapshots.length - number;
-
-        for (let counter = 0; counter < destroyNumber; counter++) {
-            await ZfsUtilities.destroySnapshot(snapshots[number], this.#name);
+    async #estimateDestroySize(snapshots, targets) {
+        // the datasets share no blocks, so the sum is the reclaimed size.
+        let size = 0;
+        for (const [filesystem, prunables] of targets) {
+            const destroying = snapshots.filter(s => prunables.includes(s));
+            if (destroying.length > 0) {
+                size += await ZfsUtilities.estimateDestroySize(destroying, filesystem, false);
+            }
         }
-     }
+        return size;
+    }
+
+    /**
+     * Get the Elephant Backup snapshots possible to purge on only the ZFS filesystem from the oldest.
+     * @returns {Promise<string[]>} the snapshots except the newest, the pinned and the labeled snapshots.
+     */
+    async #getPrunableSnapshots() {
+        const snapshotList = await this.getSnapshotList();
+        const snapshots = snapshotList.getElephantSnapshots();
+        const pins = await this.getPins();
+
+        const newest = snapshots[snapshots.length - 1];
+        const prunables = snapshots.filter(s => s !== newest && !pins.has(s) && new Snapshot(s).label === null);
+        return prunables;
+    }
+
+    /**
+     * Get the latest snapshot backed up to an archive.
+     * @returns {Promise<string|null>} the snapshot, or null if never backed up.
+     */
+    async getArchivedSnapshot() {
+        const values = await ZfsUtilities.getProperties(this.#name, [ZfsFilesystem.PROPERTY_ARCHIVED]);
+        const value = values.get(ZfsFilesystem.PROPERTY_ARCHIVED)?.value ?? '-';
+        return value === '-' ? null : value;
+    }
+
+    /**
+     * Remember the latest snapshot backed up to an archive.
+     * @param {string} snapshot the snapshot.
+     */
+    async setArchivedSnapshot(snapshot) {
+        await ZfsUtilities.setProperty(this.#name, ZfsFilesystem.PROPERTY_ARCHIVED, snapshot);
+    }
+
+    /**
+     * Get the GUID of a snapshot, which is the same on the primary and on the archive.
+     * @param {string} snapshot the snapshot on this filesystem.
+     * @returns {Promise<string>} the GUID.
+     */
+    async getGuid(snapshot) {
+        const [guid] = await ZfsUtilities.getValues(`${this.#name}@${snapshot}`, 'guid', false, this.#remote);
+        return guid;
+    }
 
     /**
      * Get the snapshot list.
@@ -333,7 +908,7 @@ export class ZfsFilesystem {
         const option = CommandLine.getOption();
 
         const optionalSnapshot = option.dryRun ? this.#newSnapshot : null;
-        const snapshots = await ZfsUtilities.snapshotList(this.#name, optionalSnapshot);
+        const snapshots = await ZfsUtilities.snapshotList(this.#name, optionalSnapshot, this.#remote);
         const list = new SnapshotList(snapshots);
 
         return list;
@@ -345,7 +920,7 @@ export class ZfsFilesystem {
      * @returns {Promise<boolean>} true if all the filesystems are mounted, otherwise false.
      */
     async mounted(recursive=false) {
-        const values = await ZfsUtilities.getValues(this.#name, 'mounted', recursive);
+        const values = await ZfsUtilities.getValues(this.#name, 'mounted', recursive, this.#remote);
 
         // remove the '-' value standing for snapshot.
         // snapshot is not ZFS pool and ZFS dataset.
@@ -363,7 +938,7 @@ export class ZfsFilesystem {
      */
     async getMountPoint() {
         if (!this.#mountPoint) {
-            const values = await ZfsUtilities.getValues(this.#name, 'mountpoint');
+            const values = await ZfsUtilities.getValues(this.#name, 'mountpoint', false, this.#remote);
             this.#mountPoint = values[0];
         }
         return this.#mountPoint;
@@ -393,13 +968,23 @@ export class ZfsFilesystem {
                 .filter( e => !e.startsWith(onePath) )
                 .map( e => path.join(anotherPath, e, '/'));
 
-        const compare = new Compare(excludePaths, excludeAnotherPaths);
+        // read the files on a remote archive at once instead of one by one.
+        const anotherTree = another.#remote ? await another.#remote.getDigests(anotherPath) : null;
+
+        const compare = new Compare(excludePaths, excludeAnotherPaths, anotherTree);
         await compare.compareDirectory(onePath, anotherPath);
     }
 
     get Name () {
         return this.#name;
     }
+
+    /**
+     * Get the name with the remote host, e.g., 'backup@nas:tank/archive', or the same as the name on this machine.
+     */
+    get Location () {
+        return this.#remote ? `${this.#remote}:${this.#name}` : this.#name;
+    }
 }
 
 class Compare {
@@ -408,15 +993,31 @@ class Compare {
 
     #excludeAnotherPaths;
 
+    /** @type {Map<string, string>|null} the SHA-1 digests by the files of another on a remote host. */
+    #anotherDigests = null;
+
+    /** @type {Map<string, string[]>|null} the names of the entries by the directories of another on a remote host. */
+    #anotherEntries = null;
+
     /**
      * Compare two directories recursively, print the differences with the logger. 
      * 
      * @param {string[]} excludePaths the path to be excluded from one on comparing.
      * @param {string[]} excludeAnotherPaths) the path to be excluded from another on comparing.
+     * @param {{directories: Set<string>, digests: Map<string, string>}|null} anotherTree
+     *     the directories and the digests of the files of another on a remote host, null if on this machine.
      */
-    constructor(excludePaths, excludeAnotherPaths) {
+    constructor(excludePaths, excludeAnotherPaths, anotherTree = null) {
         this.#excludePaths = excludePaths;
         this.#excludeAnotherPaths = excludeAnotherPaths;
+
+        if (anotherTree) {
+            this.#anotherDigests = anotherTree.digests;
+            this.#anotherEntries = new Map([...anotherTree.directories].map(d => [d, []]));
+            for (const entry of [...anotherTree.directories, ...anotherTree.digests.keys()]) {
+                this.#anotherEntries.get(path.dirname(entry))?.push(path.basename(entry));
+            }
+        }
     }
 
     /**
@@ -435,7 +1036,7 @@ class Compare {
         const files = entries.filter(e => !e.isDirectory());
 
         // print all the files, if the directory itself is appended.
-        if (!fs.existsSync(another)) {
+        if (!this.#exists(another)) {
             for (const file of files) {
                 const onePath = path.join(one, file.name);
                 logger.print(` + ${onePath}`);
@@ -447,7 +1048,7 @@ class Compare {
         for (const directory of directories) {
             const onePath = path.join(one, directory.name, '/');
             const anotherPath = path.join(another, directory.name, '/');
-            if (!fs.existsSync(anotherPath)) {
+            if (!this.#exists(anotherPath)) {
                 logger.print(` + ${onePath}`);
             }
 
@@ -467,7 +1068,9 @@ class Compare {
      */
     async #printDifference(files, one, another) {
         // print all of the removed files.
-        const anotherNames = await fsPromises.readdir(another);
+        const anotherNames = this.#anotherEntries ?
+                this.#anotherEntries.get(path.resolve(another)) ?? [] :
+                await fsPromises.readdir(another);
         for (const name of anotherNames) {
             // skip another exclude path
             const anotherPath = path.join(another, name);
@@ -484,13 +1087,15 @@ class Compare {
         for (const file of files) {
             const onePath = path.join(one, file.name);
             const anotherPath = path.join(another, file.name);
-            if (!fs.existsSync(anotherPath)) {
+            if (!this.#exists(anotherPath)) {
                 logger.print(` + ${onePath}`);
                 continue;
             }
 
-            const stat = await fsPromises.lstat(anotherPath);
-            if (stat.isDirectory()) {
+            const isDirectory = this.#anotherEntries ?
+                    this.#anotherEntries.has(anotherPath) :
+                    (await fsPromises.lstat(anotherPath)).isDirectory();
+            if (isDirectory) {
                 logger.print(` M ${onePath}`);
                 continue;
             }
@@ -513,13 +1118,28 @@ class Compare {
      */
     async #equal(one, another) {
         const oneDigest = await this.#digest(one);
-        const anotherDigest = await this.#digest(another);
+        const anotherDigest = this.#anotherDigests ?
+                Buffer.from(this.#anotherDigests.get(another) ?? '', 'hex') :
+                await this.#digest(another);
         const compareResult = oneDigest.compare(anotherDigest);
         const equal = compareResult == 0;
 
         return equal;
     }
 
+    /**
+     * Confirm a file or a directory of another exists or not.
+     * @param {string} anotherPath the path of a file or a directory of another.
+     * @returns {boolean} true if exist, false if not.
+     */
+    #exists(anotherPath) {
+        if (!this.#anotherEntries || !this.#anotherDigests) {
+            return fs.existsSync(anotherPath);
+        }
+        const resolved = path.resolve(anotherPath);
+        return this.#anotherEntries.has(resolved) || this.#anotherDigests.has(resolved);
+    }
+
     /**
      * Calculate the hash digest of a file.
      * @param {string} fileName the name of a file.
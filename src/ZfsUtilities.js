@@ -7,8 +7,12 @@
 'use strict'
 
 import path from 'node:path';
+import stream from 'node:stream'; // NOSONAR
 
 import { Process } from './Process.js'
+import { Progress } from './Progress.js';
+import { RateLimiter } from './RateLimiter.js';
+import { Remote } from './Remote.js';
 import { CommandLine } from './CommandLine.js';
 import { Configure } from './Configure.js';
 import { Logger } from './Logger.js';
@@ -35,29 +39,119 @@ class ZfsCommands {
     static ZFS_CREATE_DATASET = 'zfs create -p';
 
     /**
-     * @types {string} The command line that sends a ZFS filesystem.
+     * @types {string} The command line that sends a ZFS filesystem and its descendants as is.
      */
     static ZFS_SEND_RAW = 'zfs send -Rw';
 
     /**
-     * @types {string} The command line that receives a ZFS filesystem.
+     * @types {string} The command line that sends a ZFS filesystem with the options of the send mode.
      */
-    static ZFS_RECV_INCREMENTAL = 'zfs recv -F -d -x mountpoint';
+    static ZFS_SEND = 'zfs send';
+
+    /**
+     * @types {string} The command line that resumes sending a ZFS filesystem with a receive resume token.
+     */
+    static ZFS_SEND_RESUME = 'zfs send -t';
+
+    /**
+     * @types {string} The command line that receives a ZFS filesystem, which saves the partial state if interrupted.
+     */
+    static ZFS_RECV_INCREMENTAL = 'zfs recv -s -F -d -x mountpoint';
+
+    /**
+     * @types {string} The command line that resumes receiving a ZFS filesystem.
+     */
+    static ZFS_RECV_RESUME = 'zfs recv -s -x mountpoint';
+
+    /**
+     * @types {string} The command line that aborts receiving a ZFS filesystem, and discards the partial state.
+     */
+    static ZFS_RECV_ABORT = 'zfs recv -A';
+
+    /**
+     * @types {string} The command line that receives a ZFS filesystem restoring from an archive without mounting it.
+     */
+    static ZFS_RECV_RESTORE = 'zfs recv -u -x mountpoint';
+
+    /**
+     * @types {string} Mount a ZFS filesystem.
+     */
+    static ZFS_MOUNT = 'zfs mount';
 
     /**
      * @types {string} Get a value on property on a ZFS filesystem.
      */
     static ZFS_GET_PROPERTY = 'zfs get -H -o value';
 
+    /**
+     * @types {string} Get the values and the sources of properties on a ZFS filesystem.
+     */
+    static ZFS_GET_PROPERTY_SOURCE = 'zfs get -H -o property,value,source';
+
+    /**
+     * @types {string} Set a value on property on a ZFS filesystem.
+     */
+    static ZFS_SET_PROPERTY = 'zfs set';
+
     /**
      * @types {string} Take a snapshot on a ZFS filesystem.
      */
     static ZFS_TAKE_SNAPSHOT_RECURSIVE = 'zfs snapshot -r';
 
     /**
-     * @types {string} Destroy a snapshot on a ZFS filesystem.
+     * @types {string} Take the snapshots on ZFS filesystems at once.
+     */
+    static ZFS_TAKE_SNAPSHOT = 'zfs snapshot';
+
+    /**
+     * @types {string} Get the values of a property on a ZFS filesystem and its descendants, except the snapshots.
+     */
+    static ZFS_GET_PROPERTY_RECURSIVE = 'zfs get -H -r -t filesystem,volume -o name,value';
+
+    /**
+     * @types {string} Get the received values of a property on a ZFS filesystem and its descendant filesystems.
+     */
+    static ZFS_GET_RECEIVED_RECURSIVE = 'zfs get -H -r -t filesystem -o name,received';
+
+    /**
+     * @types {string} Destroy snapshots on only a ZFS filesystem, not on its descendants, and print the reclaimed space.
      */
-    static ZFS_DESTROY_SNAPSHOT_RECURSIVE = 'zfs destroy -r';
+    static ZFS_DESTROY_SNAPSHOT = 'zfs destroy -v -p';
+
+    /**
+     * @types {string} Estimate the space reclaimed by destroying snapshots, without destroying them.
+     */
+    static ZFS_DESTROY_ESTIMATE = 'zfs destroy -n -v -p';
+
+    /**
+     * @types {string} Hold a snapshot on a ZFS filesystem and its descendants.
+     */
+    static ZFS_HOLD_RECURSIVE = 'zfs hold -r';
+
+    /**
+     * @types {string} Release a hold on a snapshot on a ZFS filesystem and its descendants.
+     */
+    static ZFS_RELEASE_RECURSIVE = 'zfs release -r';
+
+    /**
+     * @types {string} Show the holds on snapshots.
+     */
+    static ZFS_HOLDS = 'zfs holds -H';
+
+    /**
+     * @types {string} Show the snapshots with the number of the holds.
+     */
+    static ZFS_LIST_SNAPSHOT_USERREFS = 'zfs list -H -s creation -o name,userrefs -t snapshot';
+
+    /**
+     * @types {string} Show the snapshots with the exact sizes.
+     */
+    static ZFS_LIST_SNAPSHOT_SIZES = 'zfs list -H -p -s creation -o name,used,written,referenced -t snapshot';
+
+    /**
+     * @types {string} Show the snapshots on a ZFS filesystem and its descendants with the GUID and the creation TXG.
+     */
+    static ZFS_LIST_SNAPSHOT_IDENTITIES = 'zfs list -H -p -r -o name,guid,createtxg -t snapshot';
 
     /**
      * @types {string} The command line that enable-disable the Elephant Backup systemd unit.
@@ -67,6 +161,9 @@ class ZfsCommands {
 
 export class ZfsUtilities {
 
+    /** @type {number} The maximum length of the snapshot argument of the destroy command. */
+    static MAX_DESTROY_ARGUMENT_LENGTH = 4096;
+
     /**
      * Take a snapshot on a ZFS filesystem.
      * @param {string} snapshot a snapshot.
@@ -86,25 +183,212 @@ export class ZfsUtilities {
     }
 
     /**
-     * Destroy a snapshot on a ZFS filesystem.
+     * Take a snapshot on ZFS filesystems in a ZFS pool at once.
      * @param {string} snapshot a snapshot.
+     * @param {string[]} filesystems ZFS filesystems in the same ZFS pool.
+     * @param {boolean} recursive true if take the snapshot on their descendants too, false if only on them.
+     * @return {Promise<string[]>} the new snapshot long names.
+     */
+    static async takeSnapshots(snapshot, filesystems, recursive = false) {
+        const snapshotLongNames = filesystems.map(f => `${f}@${snapshot}`);
+
+        // `zfs snapshot` takes all of the snapshots in a ZFS pool atomically.
+        const take = recursive ? ZfsCommands.ZFS_TAKE_SNAPSHOT_RECURSIVE : ZfsCommands.ZFS_TAKE_SNAPSHOT;
+        const command = `${take} ${snapshotLongNames.join(' ')}`;
+        const process = new Process(command);
+        process.syncResult();
+        await process.spawnIfNoDryRunAsync();
+
+        for (const snapshotLongName of snapshotLongNames) {
+            logger.print(`Taken the new snapshot: ${snapshotLongName}`);
+        }
+        return snapshotLongNames;
+    }
+
+    /**
+     * Destroy snapshots on only a ZFS filesystem, not on its descendants, in batches.
+     * A batch destroys the snapshots with one command in the form of 'filesystem@a%b,c',
+     * where 'a%b' is the range of the snapshots from a to b.
+     * Destroy the snapshots on each of the descendants separately, where a range may cover the snapshots only it has.
+     * @param {string[]} snapshots the snapshots sorted from the oldest.
      * @param {string} filesystem a ZFS filesystem.
+     * @param {Remote|null} remote the remote host of the ZFS filesystem, null if on this machine.
      */
-     static async destroySnapshot(snapshot, filesystem) {
-        const command = `${ZfsCommands.ZFS_DESTROY_SNAPSHOT_RECURSIVE} ${filesystem}@${snapshot}`;
+    static async destroySnapshots(snapshots, filesystem, remote=null) {
+        if (snapshots.length == 0) {
+            return;
+        }
+
+        const allSnapshots = (await ZfsUtilities.snapshotList(filesystem, null, remote)).map(s => s.split('@')[1]);
+        const specs = ZfsUtilities.toSnapshotSpecs(snapshots, allSnapshots);
+        for (const batch of ZfsUtilities.toBatches(specs, `${filesystem}@`.length)) {
+            const command = `${ZfsCommands.ZFS_DESTROY_SNAPSHOT} ${filesystem}@${batch.join(',')}`;
+            const process = Remote.newProcess(command, remote);
+            process.syncResult();
+            const stdout = await process.spawnIfNoDryRunAsync();
+
+            const count = batch.reduce((sum, spec) => {
+                const [first, last] = spec.split('%');
+                return sum + (last ? allSnapshots.indexOf(last) - allSnapshots.indexOf(first) + 1 : 1);
+            }, 0);
+            // stdout involves the 'reclaim<TAB>1234' line except on the dry run.
+            const match = stdout.match(/^reclaim\t(\d+)$/m);
+            const reclaimed = match ? ` reclaiming ${ZfsUtilities.formatSize(Number(match[1]))}` : '';
+            logger.print(`Purged ${count} snapshots${reclaimed}: ${filesystem}@${batch.join(',')}`);
+        }
+    }
+
+    /**
+     * Convert snapshots to the specifications of the destroy command, joining the consecutive snapshots into a range.
+     * @param {string[]} snapshots the snapshots destroying, sorted from the oldest.
+     * @param {string[]} allSnapshots all of the snapshots on the ZFS filesystem sorted from the oldest.
+     * @returns {string[]} the specifications, e.g., ['a%c', 'e'].
+     */
+    static toSnapshotSpecs(snapshots, allSnapshots) {
+        /** @type {string[][]} */
+        const runs = [];
+        let previous = -2;
+        for (const snapshot of snapshots) {
+            const index = allSnapshots.indexOf(snapshot);
+            if (index >= 0 && index == previous + 1) {
+                runs[runs.length - 1].push(snapshot);
+            }
+            else {
+                runs.push([snapshot]);
+            }
+            previous = index;
+        }
+
+        const specs = runs.flatMap(run => {
+            // the range of two snapshots is no shorter than them.
+            return run.length > 2 ? [`${run[0]}%${run[run.length - 1]}`] : run;
+        });
+        return specs;
+    }
+
+    /**
+     * Split the specifications of the destroy command into batches of the bounded argument length.
+     * @param {string[]} specs the specifications.
+     * @param {number} prefixLength the length of the 'filesystem@' prefix of the argument.
+     * @returns {string[][]} the batches.
+     */
+    static toBatches(specs, prefixLength) {
+        /** @type {string[][]} */
+        const batches = [];
+        let length = 0;
+        for (const spec of specs) {
+            const last = batches[batches.length - 1];
+            if (last && length + 1 + spec.length <= ZfsUtilities.MAX_DESTROY_ARGUMENT_LENGTH) {
+                last.push(spec);
+                length += 1 + spec.length;
+            }
+            else {
+                batches.push([spec]);
+                length = prefixLength + spec.length;
+            }
+        }
+        return batches;
+    }
+
+    /**
+     * Estimate the space reclaimed by destroying snapshots on a ZFS filesystem.
+     * The estimate counts the blocks shared only among the snapshots, which the used property of each snapshot does not.
+     * @param {string[]} snapshots snapshots.
+     * @param {string} filesystem a ZFS filesystem.
+     * @param {boolean} recursive true if destroy the snapshots on the descendants too.
+     * @returns {Promise<number>} the reclaimed size in bytes.
+     */
+    static async estimateDestroySize(snapshots, filesystem, recursive=true) {
+        const recursiveOption = recursive ? '-r' : '';
+        const command = `${ZfsCommands.ZFS_DESTROY_ESTIMATE} ${recursiveOption} ${filesystem}@${snapshots.join(',')}`;
+        const process = new Process(command);
+        process.syncResult();
+        const stdout = await process.spawnAsync();
+
+        // stdout involves the 'reclaim<TAB>1234' line.
+        const match = stdout.match(/^reclaim\t(\d+)$/m);
+        if (!match) {
+            throw new Error(`Unexpected output of estimating the destroy: ${stdout}`);
+        }
+        const size = Number(match[1]);
+        return size;
+    }
+
+    /**
+     * Hold a snapshot on a ZFS filesystem and its descendants.
+     * @param {string} tag the tag of the hold.
+     * @param {string} snapshot a snapshot long name, e.g., 'root.pool@elephant-2022-08-29-153407'.
+     */
+    static async holdSnapshot(tag, snapshot) {
+        const command = `${ZfsCommands.ZFS_HOLD_RECURSIVE} ${tag} ${snapshot}`;
+        const process = new Process(command);
+        await process.spawnIfNoDryRunAsync();
+
+        logger.print(`Pinned the snapshot with the tag '${tag}': ${snapshot}`);
+    }
+
+    /**
+     * Release a hold on a snapshot on a ZFS filesystem and its descendants.
+     * @param {string} tag the tag of the hold.
+     * @param {string} snapshot a snapshot long name, e.g., 'root.pool@elephant-2022-08-29-153407'.
+     */
+    static async releaseSnapshot(tag, snapshot) {
+        const command = `${ZfsCommands.ZFS_RELEASE_RECURSIVE} ${tag} ${snapshot}`;
         const process = new Process(command);
         await process.spawnIfNoDryRunAsync();
 
-        logger.print(`Purged the snapshot: ${filesystem}@${snapshot}`);
+        logger.print(`Unpinned the snapshot with the tag '${tag}': ${snapshot}`);
+    }
+
+    /**
+     * Get the holds on the snapshots on a ZFS filesystem.
+     * @param {string} filesystem a ZFS filesystem.
+     * @param {Remote|null} remote the remote host of the ZFS filesystem, null if on this machine.
+     * @returns {Promise<Map<string, string[]>>} the tags of the holds by the held snapshot.
+     */
+    static async getHolds(filesystem, remote=null) {
+        const listCommand = `${ZfsCommands.ZFS_LIST_SNAPSHOT_USERREFS} ${filesystem}`;
+        const listProcess = Remote.newProcess(listCommand, remote);
+        listProcess.syncResult();
+        const listResult = await listProcess.spawnAsync();
+
+        // find the held snapshots from the number of the holds.
+        const heldSnapshots = (listResult === '' ? [] : listResult.split('\n'))
+                .map(line => line.split('\t'))
+                .filter(([_, userrefs]) => Number(userrefs) > 0)
+                .map(([name]) => name);
+
+        /** @type {Map<string, string[]>} */
+        const holds = new Map();
+        if (heldSnapshots.length == 0) {
+            return holds;
+        }
+
+        const holdsCommand = `${ZfsCommands.ZFS_HOLDS} ${heldSnapshots.join(' ')}`;
+        const holdsProcess = Remote.newProcess(holdsCommand, remote);
+        holdsProcess.syncResult();
+        const holdsResult = await holdsProcess.spawnAsync();
+
+        // each line is '<snapshot long name><TAB><tag><TAB><timestamp>'.
+        for (const line of holdsResult.split('\n')) {
+            const [longName, tag] = line.split('\t');
+            const snapshot = longName.split('@')[1];
+            const tags = holds.get(snapshot) ?? [];
+            tags.push(tag);
+            holds.set(snapshot, tags);
+        }
+        logger.debug(`Holds on ${filesystem}: ${[...holds.keys()]}`);
+        return holds;
     }
 
     /**
      * Create a ZFS dataset on a ZFS filesystem.
      * @param {string} dataset a ZFS dataset to be created.
+     * @param {Remote|null} remote the remote host of the ZFS filesystem, null if on this machine.
      */
-    static async createZfsDataset(dataset) {
+    static async createZfsDataset(dataset, remote=null) {
         const command = `${ZfsCommands.ZFS_CREATE_DATASET} ${dataset}`;
-        const process = new Process(command);
+        const process = Remote.newProcess(command, remote);
         await process.spawnIfNoDryRunAsync();
     }
 
@@ -113,28 +397,133 @@ export class ZfsUtilities {
      * @param {string} filesystem a ZFS filesystem.
      * @param {string} first the first snapshot on the ZFS filesystem.
      * @param {string} last the last snapshot on the ZFS filesystem.
-     * @return {Promise<string>} the estimate size of sending the snapshots.
+     * @param {boolean} recursive true if send the descendants too, false if send only the ZFS filesystem.
+     * @return {Promise<number|null>} the estimated size of sending the snapshots in bytes, null if unknown on dry run.
      */
-    static async estimateSendSize(filesystem, first, last = '') {
+    static async estimateSendSize(filesystem, first, last = '', recursive = true) {
         const intermediate = last == '' ? '' : '-I';
-        const estimateOption = `-n -v ${intermediate}`;
+        const estimateOption = `-n -v -P ${intermediate}`;
 
         const firstSnapshot = `${filesystem}@${first}`;
         const lastSnapshot = last == '' ? last : `${filesystem}@${last}`;
 
         // Show the estimated size of transporting the filesystem.
+        const send = ZfsUtilities.getSendCommand(recursive);
         const command = 
-                `${ZfsCommands.ZFS_SEND_RAW} ${estimateOption} ${firstSnapshot} ${lastSnapshot}`;
+                `${send} ${estimateOption} ${firstSnapshot} ${lastSnapshot}`;
         const process = new Process(command);
         process.syncResult();
         const stdout = await process.spawnIfNoDryRunAsync();
 
         // get the 'total size line' from stdout
-        // stdout involves the 'total estimated size is 1.22K.' line.
-        const words = stdout.split(' ');
-        const size = words[words.length - 1];
+        // stdout involves the 'size<TAB>1249' line in the parsable form.
+        const sizeLine = stdout.split('\n').find(line => line.startsWith('size\t'));
+        return sizeLine ? Number(sizeLine.split('\t')[1]) : null;
+    }
 
-        return size;
+    /**
+     * Estimate the send size of resuming a receive interrupted on a ZFS filesystem.
+     * @param {string} token the receive resume token on the ZFS filesystem.
+     * @return {Promise<number|null>} the estimated size of the rest of the send stream in bytes, null if unknown on dry run.
+     */
+    static async estimateResumeSize(token) {
+        const process = new Process(`${ZfsCommands.ZFS_SEND_RESUME} ${token} -n -v -P`);
+        process.syncResult();
+        const stdout = await process.spawnIfNoDryRunAsync();
+
+        const sizeLine = stdout.split('\n').find(line => line.startsWith('size\t'));
+        return sizeLine ? Number(sizeLine.split('\t')[1]) : null;
+    }
+
+    /**
+     * Get the `zfs send` command of the send mode in the configuration.
+     * @param {boolean} recursive true if send the descendants too, false if send only the ZFS filesystem.
+     * @returns {string} the command line.
+     */
+    static getSendCommand(recursive) {
+        const raw = Configure.SEND_MODE === Configure.SEND_MODE_RAW;
+        const options = [
+            recursive ? '-R' : '',
+            // `zfs send -R` always sends the properties.
+            !recursive && Configure.SEND_PROPERTIES ? '-p' : '',
+            raw ? '-w' : '',
+            Configure.SEND_MODE === Configure.SEND_MODE_COMPRESSED ? '-c' : '',
+            // a raw send stream holds the large blocks and the embedded data as is.
+            !raw && Configure.SEND_LARGE_BLOCKS ? '-L' : '',
+            !raw && Configure.SEND_EMBEDDED ? '-e' : '',
+        ];
+        return [ZfsCommands.ZFS_SEND, ...options].filter(o => o !== '').join(' ');
+    }
+
+    /**
+     * Get the `zfs recv` options overriding and excluding the properties in the configuration.
+     * @returns {string} the options.
+     */
+    static getReceiveOptions() {
+        const overrides = Object.entries(Configure.RECEIVE_OVERRIDES).map(([name, value]) => `-o ${name}=${value}`);
+        const excludes = Configure.RECEIVE_EXCLUDES.map(name => `-x ${name}`);
+        return [...overrides, ...excludes].join(' ');
+    }
+
+    /**
+     * Find the conflict of the send mode and the receive options in the configuration, which ZFS rejects.
+     * @param {string[]} encrypted the encrypted datasets sending.
+     * @returns {string|null} the message of the conflict, or null if none.
+     */
+    static findSendConflict(encrypted) {
+        const overridden = Object.keys(Configure.RECEIVE_OVERRIDES);
+        const conflict = Configure.RECEIVE_EXCLUDES.find(name => overridden.includes(name));
+        if (conflict) {
+            return `The property is both overridden and excluded on receiving: ${conflict}`;
+        }
+
+        // only a raw send stream holds the encrypted data, with the properties and without the key loaded.
+        if (Configure.SEND_MODE !== Configure.SEND_MODE_RAW && encrypted.length > 0) {
+            return `Cannot send the encrypted ZFS filesystems in the ${Configure.SEND_MODE} send mode: ${encrypted.join(', ')}`;
+        }
+        return null;
+    }
+
+    /**
+     * Create a standard error handler of `zfs send -v -P`, which updates the progress with the parsable lines.
+     * @param {Progress} progress the progress of sending.
+     * @returns {(data: any) => void} the standard error handler.
+     */
+    static createProgressHandler(progress) {
+        /** @type {string[]} the snapshots in the order of sending */
+        const snapshots = [];
+        /** @type {Map<string, number>} the estimated sizes by the snapshot */
+        const sizes = new Map();
+        let rest = '';
+
+        return (data) => {
+            // a chunk of the standard error possibly ends in the middle of a line.
+            const lines = (rest + data.toString()).split('\n');
+            rest = lines.pop() ?? '';
+
+            for (const line of lines) {
+                const fields = line.split('\t');
+                if ((fields[0] === 'full' || fields[0] === 'incremental') && fields.length >= 3) {
+                    // e.g., 'incremental<TAB>elephant-2022-08-29-153407<TAB>root.pool@elephant-2022-08-29-163407<TAB>1249'
+                    const snapshot = fields[fields.length - 2];
+                    snapshots.push(snapshot);
+                    sizes.set(snapshot, Number(fields[fields.length - 1]));
+                }
+                else if (fields[0] === 'size' && fields.length === 2) {
+                    progress.setTotal(Number(fields[1]));
+                }
+                else if (/^\d\d:\d\d:\d\d$/.test(fields[0]) && fields.length === 3) {
+                    // e.g., '15:34:08<TAB>1048576<TAB>root.pool@elephant-2022-08-29-163407' every second,
+                    // the size is of the snapshot sending, and the snapshots before it are sent.
+                    const index = snapshots.indexOf(fields[2]);
+                    const previous = snapshots.slice(0, Math.max(0, index)).reduce((sum, s) => sum + (sizes.get(s) ?? 0), 0);
+                    progress.update(previous + Number(fields[1]));
+                }
+                else if (line !== '') {
+                    logger.prog(line);
+                }
+            }
+        };
     }
 
     /**
@@ -143,54 +532,178 @@ export class ZfsUtilities {
      * @param {string} filesystem a ZFS filesystem to send the snapshots.
      * @param {string} first the first snapshot on the ZFS filesystem.
      * @param {string} last the last snapshot on the ZFS filesystem.
+     * @param {boolean} recursive true if send the descendants too, false if send only the ZFS filesystem.
+     * @param {Remote|null} remote the remote host of the archive, null if on this machine.
+     * @param {Progress|null} progress the progress of sending, null if start a new one without the total size.
+     * @returns {Promise<number>} the size sent in bytes.
      */
-    static async sendAndReceiveZfsFilesystem(archive, filesystem, first, last = '') {
+    static async sendAndReceiveZfsFilesystem(archive, filesystem, first, last = '', recursive = true, remote = null, progress = null) {
         const option = CommandLine.getOption();
         const intermediate = last == '' ? '' : '-I';
 
         const dryRun = option.dryRun ? '-n' : '';
 
+        // `zfs send -v -P` print the parsable progress on the stderr.
         const enableVerbose = option.verbose || option.progress;
-        const verbose = enableVerbose ? '-v' : '';
+        const verbose = enableVerbose ? '-v -P' : '';
 
         const firstSnapshot = `${filesystem}@${first}`;
         const lastSnapshot = last == '' ? last : `${filesystem}@${last}`;
 
-        /** @param {any} data */
-        function stderrHandler(data) {
-            const dataString = data.toString().trimEnd();
-            // `zfs send -v` print the progress on the stderr.
-            // prints the progress of `zfs send`.
-            logger.prog(`${dataString}`);
-        }
-
         // zfs send command.
+        const send = ZfsUtilities.getSendCommand(recursive);
         const sendCommand = 
-                `${ZfsCommands.ZFS_SEND_RAW} ${dryRun} ${verbose} ${intermediate} ${firstSnapshot} ${lastSnapshot}`;
+                `${send} ${dryRun} ${verbose} ${intermediate} ${firstSnapshot} ${lastSnapshot}`;
         const sendProcess = new Process(sendCommand);
-        sendProcess.setStderrHandler(stderrHandler);
+        const sendProgress = progress ?? Progress.start(filesystem, null);
+        sendProcess.setStderrHandler(ZfsUtilities.createProgressHandler(sendProgress));
+        RateLimiter.limit(sendProcess);
 
         // zfs recv command.
         const recvCommand =
-                `${ZfsCommands.ZFS_RECV_INCREMENTAL} ${archive}`;
-        const recvProcess = new Process(recvCommand);
+                `${ZfsCommands.ZFS_RECV_INCREMENTAL} ${ZfsUtilities.getReceiveOptions()} ${archive}`;
+        const recvProcess = Remote.newProcess(recvCommand, remote);
         sendProcess.add(recvProcess);
 
         // run the `zfs send` and  `zfs recv` 
         await sendProcess.spawnIfNoDryRunAsync();
+        sendProgress.finish();
+        return sendProcess.StdoutSize;
+    }
+
+    /**
+     * Send a snapshot on an archive ZFS filesystem and its descendants back to a primary ZFS filesystem.
+     * @param {string} target a ZFS filesystem to receive the snapshot.
+     * @param {string} archive an archive ZFS filesystem to send the snapshot.
+     * @param {string} snapshot the snapshot on the archive ZFS filesystem.
+     * @param {boolean} force true if overwrite the existing target.
+     * @param {Remote|null} remote the remote host of the archive, null if on this machine.
+     */
+    static async sendAndReceiveToRestore(target, archive, snapshot, force, remote = null) {
+        const option = CommandLine.getOption();
+        const verbose = option.verbose || option.progress ? '-v -P' : '';
+
+        const sendProcess = Remote.newProcess(`${ZfsCommands.ZFS_SEND_RAW} ${verbose} ${archive}@${snapshot}`, remote);
+        const progress = Progress.start(target, null);
+        sendProcess.setStderrHandler(ZfsUtilities.createProgressHandler(progress));
+
+        const forceOption = force ? '-F' : '';
+        const recvProcess = new Process(`${ZfsCommands.ZFS_RECV_RESTORE} ${forceOption} ${target}`);
+        sendProcess.add(recvProcess);
+        await sendProcess.spawnIfNoDryRunAsync();
+        progress.finish();
+    }
+
+    /**
+     * Send the snapshots between first and last on the ZFS filesystem to a stream instead of `zfs recv`.
+     * @param {stream.Writable} destination a stream to write the send stream to.
+     * @param {string} filesystem a ZFS filesystem to send the snapshots.
+     * @param {string} first the first snapshot on the ZFS filesystem.
+     * @param {string} last the last snapshot on the ZFS filesystem.
+     * @param {boolean} recursive true if send the descendants too, false if send only the ZFS filesystem.
+     * @param {Progress|null} progress the progress of sending, null if start a new one without the total size.
+     */
+    static async sendToStream(destination, filesystem, first, last = '', recursive = true, progress = null) {
+        const option = CommandLine.getOption();
+        const intermediate = last == '' ? '' : '-I';
+        const verbose = option.verbose || option.progress ? '-v -P' : '';
+
+        const firstSnapshot = `${filesystem}@${first}`;
+        const lastSnapshot = last == '' ? last : `${filesystem}@${last}`;
+
+        const send = ZfsUtilities.getSendCommand(recursive);
+        const sendProcess = new Process(`${send} ${verbose} ${intermediate} ${firstSnapshot} ${lastSnapshot}`);
+        const sendProgress = progress ?? Progress.start(filesystem, null);
+        sendProcess.setStderrHandler(ZfsUtilities.createProgressHandler(sendProgress));
+        RateLimiter.limit(sendProcess);
+        sendProcess.setStdoutStream(destination);
+        await sendProcess.spawnIfNoDryRunAsync();
+        sendProgress.finish();
+    }
+
+    /**
+     * Receive a send stream read from a stream to a primary ZFS filesystem.
+     * @param {string} target a ZFS filesystem to receive the send stream.
+     * @param {stream.Readable} source a stream to read the send stream from.
+     * @param {boolean} force true if overwrite the existing target.
+     */
+    static async receiveFromStream(target, source, force) {
+        const forceOption = force ? '-F' : '';
+        const recvProcess = new Process(`${ZfsCommands.ZFS_RECV_RESTORE} ${forceOption} ${target}`);
+        await recvProcess.spawnIfNoDryRunAsync(source);
+    }
+
+    /**
+     * Mount a ZFS filesystem.
+     * @param {string} filesystem a ZFS filesystem.
+     */
+    static async mount(filesystem) {
+        const process = new Process(`${ZfsCommands.ZFS_MOUNT} ${filesystem}`);
+        await process.spawnIfNoDryRunAsync();
+    }
+
+    /**
+     * Get the receive resume tokens on a ZFS filesystem and its descendants, which the interrupted receive saves.
+     * @param {string} filesystem a ZFS filesystem.
+     * @param {Remote|null} remote the remote host of the ZFS filesystem, null if on this machine.
+     * @returns {Promise<Map<string, string>>} the tokens by the ZFS filesystem.
+     */
+    static async getResumeTokens(filesystem, remote = null) {
+        const values = await ZfsUtilities.getValuesRecursively(filesystem, 'receive_resume_token', remote);
+
+        // the value is '-' on the ZFS filesystem receiving nothing partially.
+        const tokens = new Map([...values].filter(([_, token]) => token !== '-'));
+        return tokens;
+    }
+
+    /**
+     * Resume sending and receiving a ZFS filesystem interrupted on receiving.
+     * @param {string} archive a ZFS filesystem having received partially.
+     * @param {string} token the receive resume token on the ZFS filesystem.
+     * @param {Remote|null} remote the remote host of the archive, null if on this machine.
+     * @returns {Promise<number>} the size sent in bytes.
+     */
+    static async resumeSendAndReceive(archive, token, remote = null) {
+        const option = CommandLine.getOption();
+        const verbose = option.verbose || option.progress ? '-v -P' : '';
+
+        // the token has the snapshot and the flags, e.g., raw, of the interrupted send.
+        const sendProcess = new Process(`${ZfsCommands.ZFS_SEND_RESUME} ${token} ${verbose}`);
+        const progress = Progress.start(archive, null);
+        sendProcess.setStderrHandler(ZfsUtilities.createProgressHandler(progress));
+        RateLimiter.limit(sendProcess);
+
+        const recvProcess = Remote.newProcess(`${ZfsCommands.ZFS_RECV_RESUME} ${ZfsUtilities.getReceiveOptions()} ${archive}`, remote);
+        sendProcess.add(recvProcess);
+        await sendProcess.spawnIfNoDryRunAsync();
+        progress.finish();
+        return sendProcess.StdoutSize;
+    }
+
+    /**
+     * Abort receiving a ZFS filesystem interrupted on receiving, and discard the partial state.
+     * @param {string} archive a ZFS filesystem having received partially.
+     * @param {Remote|null} remote the remote host of the archive, null if on this machine.
+     */
+    static async abortReceive(archive, remote = null) {
+        const process = Remote.newProcess(`${ZfsCommands.ZFS_RECV_ABORT} ${archive}`, remote);
+        await process.spawnIfNoDryRunAsync();
+
+        logger.print(`Aborted the partial receive: ${archive}`);
     }
 
     /**
      * Get the ZFS filesystems recursively involving itself on a ZFS filesystems.
      * @param {string} filesystem a ZFS filesystem, which is the base filesystems.
      *          If empty('') string, get all of the filesystems on this machine.
+     * @param {Remote|null} remote the remote host of the ZFS filesystem, null if on this machine.
      * @returns {Promise<string[]>} the ZFS filesystems list of children on the ZFS filesystems.
      */
-     static async filesystemList(filesystem='') {
+     static async filesystemList(filesystem='', remote=null) {
         const recursiveString = filesystem === '' ? '' : '-r';
         const command = `${ZfsCommands.ZFS_LIST_FILESYSTEM} ${recursiveString} ${filesystem}`;
 
-        const process = new Process(command);
+        const process = Remote.newProcess(command, remote);
         process.syncResult();
         const result = await process.spawnAsync();
 
@@ -204,11 +717,12 @@ export class ZfsUtilities {
      * Get all of the snapshots on a ZFS filesystem.
      * @param {string} filesystem a ZFS filesystem.
      * @param {string|null} snapshot a snapshot added to the snapshots for dryRun option.
+     * @param {Remote|null} remote the remote host of the ZFS filesystem, null if on this machine.
      * @returns {Promise<string[]>} the snapshots on the ZFS filesystem.
      */
-    static async snapshotList(filesystem, snapshot = null) {
+    static async snapshotList(filesystem, snapshot = null, remote = null) {
         const command = `${ZfsCommands.ZFS_LIST_SNAPSHOT} ${filesystem}`
-        const process = new Process(command);
+        const process = Remote.newProcess(command, remote);
         process.syncResult();
         const result = await process.spawnAsync();
 
@@ -227,13 +741,14 @@ export class ZfsUtilities {
      * @param {string} filesystem a ZFS filesystem.
      * @param {string} property a property on ZFS filesystem.
      * @param {boolean} recursive true if recursive, false in default.
+     * @param {Remote|null} remote the remote host of the ZFS filesystem, null if on this machine.
      * @returns {Promise<string[]>} the value.
      */
-    static async getValues(filesystem, property, recursive=false) {
+    static async getValues(filesystem, property, recursive=false, remote=null) {
         const receiveOption = recursive ? '-r' : '';
 
         const command = `${ZfsCommands.ZFS_GET_PROPERTY} ${receiveOption} ${property} ${filesystem}`;
-        const process = new Process(command);
+        const process = Remote.newProcess(command, remote);
         process.syncResult();
         const result = await process.spawnAsync();
 
@@ -242,6 +757,175 @@ export class ZfsUtilities {
         return values;
     }
 
+    /**
+     * Get the values of a property on a ZFS filesystem and its descendants.
+     * @param {string} filesystem a ZFS filesystem.
+     * @param {string} property a property on the ZFS filesystem.
+     * @param {Remote|null} remote the remote host of the ZFS filesystem, null if on this machine.
+     * @returns {Promise<Map<string, string>>} the values by the ZFS filesystem.
+     */
+    static async getValuesRecursively(filesystem, property, remote=null) {
+        const command = `${ZfsCommands.ZFS_GET_PROPERTY_RECURSIVE} ${property} ${filesystem}`;
+        const process = Remote.newProcess(command, remote);
+        process.syncResult();
+        const result = await process.spawnAsync();
+
+        /** @type {Map<string, string>} */
+        const values = new Map();
+        const lines = result === '' ? [] : result.split('\n');
+        for (const line of lines) {
+            const [name, value] = line.split('\t');
+            values.set(name, value);
+        }
+        return values;
+    }
+
+    /**
+     * Get the received values of a property on a ZFS filesystem and its descendants.
+     * `zfs recv -x` keeps the received value, which the ZFS filesystem does not use.
+     * @param {string} filesystem a ZFS filesystem.
+     * @param {string} property a property on the ZFS filesystem.
+     * @param {Remote|null} remote the remote host of the ZFS filesystem, null if on this machine.
+     * @returns {Promise<Map<string, string>>} the received values by the ZFS filesystem, '-' if not received.
+     */
+    static async getReceivedValuesRecursively(filesystem, property, remote=null) {
+        const command = `${ZfsCommands.ZFS_GET_RECEIVED_RECURSIVE} ${property} ${filesystem}`;
+        const process = Remote.newProcess(command, remote);
+        process.syncResult();
+        const result = await process.spawnAsync();
+
+        /** @type {Map<string, string>} */
+        const values = new Map();
+        const lines = result === '' ? [] : result.split('\n');
+        for (const line of lines) {
+            const [name, value] = line.split('\t');
+            values.set(name, value);
+        }
+        return values;
+    }
+
+    /**
+     * Get the values and the sources of properties on a ZFS filesystem.
+     * The value of an unset user property is '-'.
+     * @param {string} filesystem a ZFS filesystem.
+     * @param {string[]} properties properties on the ZFS filesystem.
+     * @param {boolean} parsable true if get the exact numeric values, e.g., '1310720' instead of '1.25M'.
+     * @param {Remote|null} remote the remote host of the ZFS filesystem, null if on this machine.
+     * @returns {Promise<Map<string, {value: string, source: string}>>} the values and the sources by the property.
+     */
+    static async getProperties(filesystem, properties, parsable=false, remote=null) {
+        const parsableOption = parsable ? '-p' : '';
+        const command = `${ZfsCommands.ZFS_GET_PROPERTY_SOURCE} ${parsableOption} ${properties.join(',')} ${filesystem}`;
+        const process = Remote.newProcess(command, remote);
+        process.syncResult();
+        const result = await process.spawnAsync();
+
+        /** @type {Map<string, {value: string, source: string}>} */
+        const values = new Map();
+        const lines = result === '' ? [] : result.split('\n');
+        for (const line of lines) {
+            const [property, value, source] = line.split('\t');
+            values.set(property, {value, source});
+        }
+        logger.debug(`Get properties of ${filesystem}: ${[...values.keys()]}`);
+        return values;
+    }
+
+    /**
+     * Get the sizes of the snapshots on only a ZFS filesystem, not on its descendants.
+     * @param {string} filesystem a ZFS filesystem.
+     * @param {Remote|null} remote the remote host of the ZFS filesystem, null if on this machine.
+     * @returns {Promise<Map<string, {used: number, written: number, referenced: number}>>} the sizes in bytes by the snapshot.
+     */
+    static async getSnapshotSizes(filesystem, remote=null) {
+        const command = `${ZfsCommands.ZFS_LIST_SNAPSHOT_SIZES} ${filesystem}`;
+        const process = Remote.newProcess(command, remote);
+        process.syncResult();
+        const result = await process.spawnAsync();
+
+        /** @type {Map<string, {used: number, written: number, referenced: number}>} */
+        const sizes = new Map();
+        const lines = result === '' ? [] : result.split('\n');
+        for (const line of lines) {
+            const [name, used, written, referenced] = line.split('\t');
+            const snapshot = name.split('@')[1];
+            sizes.set(snapshot, {used: Number(used), written: Number(written), referenced: Number(referenced)});
+        }
+        return sizes;
+    }
+
+    /**
+     * Get the GUIDs and the creation TXGs of the snapshots on a ZFS filesystem and its descendants.
+     * @param {string} filesystem a ZFS filesystem.
+     * @param {Remote|null} remote the remote host of the ZFS filesystem, null if on this machine.
+     * @returns {Promise<Map<string, Map<string, {guid: string, createtxg: number}>>>}
+     *     the GUID and the creation TXG by the snapshot by the ZFS filesystem.
+     */
+    static async getSnapshotIdentities(filesystem, remote=null) {
+        const command = `${ZfsCommands.ZFS_LIST_SNAPSHOT_IDENTITIES} ${filesystem}`;
+        const process = Remote.newProcess(command, remote);
+        process.syncResult();
+        const result = await process.spawnAsync();
+
+        /** @type {Map<string, Map<string, {guid: string, createtxg: number}>>} */
+        const identities = new Map();
+        const lines = result === '' ? [] : result.split('\n');
+        for (const line of lines) {
+            const [name, guid, createtxg] = line.split('\t');
+            const [dataset, snapshot] = name.split('@');
+            if (!identities.has(dataset)) {
+                identities.set(dataset, new Map());
+            }
+            identities.get(dataset)?.set(snapshot, {guid, createtxg: Number(createtxg)});
+        }
+        return identities;
+    }
+
+    /**
+     * Set a value on property on a ZFS filesystem.
+     * @param {string} filesystem a ZFS filesystem.
+     * @param {string} property a property on the ZFS filesystem.
+     * @param {string} value the value.
+     * @param {Remote|null} remote the remote host of the ZFS filesystem, null if on this machine.
+     */
+    static async setProperty(filesystem, property, value, remote=null) {
+        const command = `${ZfsCommands.ZFS_SET_PROPERTY} ${property}=${value} ${filesystem}`;
+        const process = Remote.newProcess(command, remote);
+        await process.spawnIfNoDryRunAsync();
+    }
+
+    /**
+     * Parse a size with the unit suffix as ZFS prints.
+     * @param {string} size a size, e.g., '1024', '1.5G' or '10T'.
+     * @returns {number|null} the size in bytes, or null if not a size.
+     */
+    static parseSize(size) {
+        const match = size.trim().match(/^(\d+(?:\.\d+)?)([KMGTPE]?)i?B?$/i);
+        if (!match) {
+            return null;
+        }
+        const exponent = ' KMGTPE'.indexOf(match[2].toUpperCase() || ' ');
+        const bytes = Math.round(Number(match[1]) * 1024 ** exponent);
+        return bytes;
+    }
+
+    /**
+     * Format a size in bytes with the unit suffix as ZFS prints.
+     * @param {number} bytes a size in bytes.
+     * @returns {string} the size, e.g., '1.22K'.
+     */
+    static formatSize(bytes) {
+        let size = bytes;
+        let exponent = 0;
+        while (Math.abs(size) >= 1024 && exponent < 6) {
+            size /= 1024;
+            exponent++;
+        }
+        const suffix = ' KMGTPE'[exponent].trim();
+        const digits = exponent == 0 ? 0 : 2;
+        return `${size.toFixed(digits)}${suffix}`;
+    }
+
     /**
      * Install and enable systemd unit.
      * @param {boolean} action install and enable if true, disable and uninstall if false.